@@ -0,0 +1,110 @@
+// In-memory stand-ins for the KV namespace and R2 bucket bindings, covering the
+// parts of the Workers API the functions use. Used by the mock dev server and
+// handy for exercising onRequest from tests:
+//
+//   const env = createMockEnv();
+//   const response = await onRequest({ request, env, params: {}, waitUntil() {} });
+
+export function createMemoryKV() {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const decode = (value, type) => {
+    if (type === 'json') return JSON.parse(value);
+    if (type === 'arrayBuffer') return new TextEncoder().encode(value).buffer;
+    return value;
+  };
+
+  return {
+    async get(key, options) {
+      const entry = live(key);
+      const type = typeof options === 'string' ? options : options?.type;
+      return entry ? decode(entry.value, type) : null;
+    },
+    async getWithMetadata(key, options) {
+      const entry = live(key);
+      const type = typeof options === 'string' ? options : options?.type;
+      return entry ? { value: decode(entry.value, type), metadata: entry.metadata ?? null } : { value: null, metadata: null };
+    },
+    async put(key, value, options = {}) {
+      let expiresAt = null;
+      if (options.expirationTtl) expiresAt = Date.now() + options.expirationTtl * 1000;
+      else if (options.expiration) expiresAt = options.expiration * 1000;
+      entries.set(key, { value: String(value), metadata: options.metadata, expiresAt });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const names = [...entries.keys()].filter(name => name.startsWith(prefix) && live(name)).sort();
+      const start = cursor ? parseInt(cursor, 10) : 0;
+      const page = names.slice(start, start + limit);
+      const done = start + limit >= names.length;
+      return {
+        keys: page.map(name => ({ name, metadata: entries.get(name).metadata })),
+        list_complete: done,
+        cursor: done ? undefined : String(start + limit),
+      };
+    },
+  };
+}
+
+export function createMemoryBucket() {
+  const objects = new Map();
+
+  const toObject = (key, entry) => ({
+    key,
+    size: entry.bytes.byteLength,
+    uploaded: entry.uploaded,
+    httpMetadata: entry.httpMetadata,
+    customMetadata: entry.customMetadata,
+  });
+
+  return {
+    async put(key, value, options = {}) {
+      const bytes = new Uint8Array(await new Response(value).arrayBuffer());
+      const entry = { bytes, uploaded: new Date(), httpMetadata: options.httpMetadata || {}, customMetadata: options.customMetadata || {} };
+      objects.set(key, entry);
+      return toObject(key, entry);
+    },
+    async head(key) {
+      return objects.has(key) ? toObject(key, objects.get(key)) : null;
+    },
+    async get(key) {
+      const entry = objects.get(key);
+      if (!entry) return null;
+      return {
+        ...toObject(key, entry),
+        body: new Response(entry.bytes).body,
+        arrayBuffer: async () => entry.bytes.slice().buffer,
+      };
+    },
+    async delete(key) {
+      objects.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+      return { objects: keys.map(key => toObject(key, objects.get(key))), truncated: false };
+    },
+  };
+}
+
+// Bindings for running the functions fully offline against the mock provider.
+export function createMockEnv(overrides = {}) {
+  return {
+    VIDEO_PROVIDER: 'mock',
+    R2_PUBLIC_URL: 'http://localhost/__r2',
+    SESSION_SECRET: 'mock-session-secret',
+    IMAGE_BUCKET: createMemoryBucket(),
+    TASK_INFO_KV: createMemoryKV(),
+    ...overrides,
+  };
+}
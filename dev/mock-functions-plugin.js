@@ -0,0 +1,99 @@
+import { Readable } from 'node:stream';
+import { createMockEnv } from './memory-bindings.js';
+
+// Serves the Pages Functions from the Vite dev server against the mock Runway
+// provider and in-memory KV/R2, so `npm run dev:mock` works without an API key,
+// wrangler or network access. R2 objects are served back under /__r2/. The
+// user list starts with MOCK_USER_EMAIL (dev@example.com by default) as an
+// admin; sign-in links are printed to the terminal.
+const ROUTES = [
+  { pattern: /^\/ai$/, module: '/functions/ai.js' },
+  { pattern: /^\/ai\/jobs$/, module: '/functions/ai/jobs/index.js' },
+  { pattern: /^\/ai\/jobs\/(?<id>[^/]+)$/, module: '/functions/ai/jobs/[id].js' },
+  { pattern: /^\/ai\/jobs\/(?<id>[^/]+)\/chain$/, module: '/functions/ai/jobs/[id]/chain.js' },
+  { pattern: /^\/ai\/stream$/, module: '/functions/ai/stream.js' },
+  { pattern: /^\/ai\/budget$/, module: '/functions/ai/budget.js' },
+  { pattern: /^\/ai\/estimate$/, module: '/functions/ai/estimate.js' },
+  { pattern: /^\/ai\/batches$/, module: '/functions/ai/batches/index.js' },
+  { pattern: /^\/ai\/batches\/(?<id>[^/]+)$/, module: '/functions/ai/batches/[id].js' },
+  { pattern: /^\/auth\/login$/, module: '/functions/auth/login.js' },
+  { pattern: /^\/auth\/verify$/, module: '/functions/auth/verify.js' },
+  { pattern: /^\/auth\/logout$/, module: '/functions/auth/logout.js' },
+  { pattern: /^\/auth\/me$/, module: '/functions/auth/me.js' },
+  { pattern: /^\/admin\/keys$/, module: '/functions/admin/keys/index.js' },
+  { pattern: /^\/admin\/keys\/(?<id>[^/]+)$/, module: '/functions/admin/keys/[id].js' },
+];
+const R2_PATH = '/__r2/';
+
+const toRequest = (req, url) => new Request(url, {
+  method: req.method,
+  // Stands in for the header Cloudflare adds, for the per-IP rate limits
+  headers: { ...req.headers, 'cf-connecting-ip': req.socket.remoteAddress },
+  body: ['GET', 'HEAD'].includes(req.method) ? undefined : Readable.toWeb(req),
+  duplex: 'half',
+});
+
+async function sendResponse(req, res, response) {
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  if (!response.body) return res.end();
+  const reader = response.body.getReader();
+  req.on('close', () => reader.cancel().catch(() => {}));
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    res.write(chunk.value);
+  }
+  res.end();
+}
+
+async function serveObject(env, res, key) {
+  const object = await env.IMAGE_BUCKET.get(decodeURIComponent(key));
+  if (!object) {
+    res.statusCode = 404;
+    return res.end('Not found');
+  }
+  res.writeHead(200, { 'Content-Type': object.httpMetadata.contentType || 'application/octet-stream' });
+  res.end(Buffer.from(await object.arrayBuffer()));
+}
+
+export default function mockFunctions(overrides = {}) {
+  let env;
+
+  return {
+    name: 'mock-pages-functions',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        if (!env) {
+          env = createMockEnv({ R2_PUBLIC_URL: `${url.origin}${R2_PATH.slice(0, -1)}`, ...overrides });
+          const email = env.MOCK_USER_EMAIL || 'dev@example.com';
+          await env.TASK_INFO_KV.put(`user:${email}`, JSON.stringify({ email, admin: true }));
+        }
+
+        try {
+          if (url.pathname.startsWith(R2_PATH)) return await serveObject(env, res, url.pathname.slice(R2_PATH.length));
+
+          const route = ROUTES.find(({ pattern }) => pattern.test(url.pathname));
+          if (!route) return next();
+
+          const module = await server.ssrLoadModule(route.module);
+          const method = req.method.charAt(0) + req.method.slice(1).toLowerCase();
+          const handler = module[`onRequest${method}`] || module.onRequest;
+          if (!handler) {
+            res.statusCode = 405;
+            return res.end('Method not allowed');
+          }
+
+          const context = {
+            request: toRequest(req, url),
+            env,
+            params: url.pathname.match(route.pattern).groups || {},
+            waitUntil: promise => promise.catch(error => console.error('[mock functions] waitUntil:', error)),
+          };
+          await sendResponse(req, res, await handler(context));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+  };
+}
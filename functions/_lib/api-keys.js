@@ -0,0 +1,79 @@
+// API keys let scripts call /ai without a browser session. A key looks like
+// `vk_<id>_<secret>`; only a SHA-256 of the secret is kept, in TASK_INFO_KV
+// under `apikey:<id>` next to its label, scopes and usage timestamps.
+const API_KEY_PREFIX = 'apikey:';
+const KEY_PATTERN = /^vk_([0-9a-f]{16})_([0-9a-f]{64})$/;
+// lastUsedAt is only rewritten when older than this, to spare KV writes
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// submit: start jobs and batches; status: check jobs, streams and batches;
+// list: list jobs; delete: cancel and delete jobs
+export const API_KEY_SCOPES = ['submit', 'status', 'list', 'delete'];
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+const sha256Hex = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+// What admins get to see of a key; never the hash.
+const describeKey = (key) => {
+  const described = { ...key };
+  delete described.hash;
+  return described;
+};
+
+// Issues a key and returns { key, apiKey } where `apiKey` is the full secret
+// string, shown to the admin once and never stored.
+export async function createApiKey(env, { label, scopes, createdBy }) {
+  const id = toHex(crypto.getRandomValues(new Uint8Array(8)));
+  const secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+  const key = {
+    id,
+    label,
+    scopes,
+    hash: await sha256Hex(secret),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  await env.TASK_INFO_KV.put(`${API_KEY_PREFIX}${id}`, JSON.stringify(key));
+  return { key: describeKey(key), apiKey: `vk_${id}_${secret}` };
+}
+
+export async function listApiKeys(env) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.TASK_INFO_KV.list({ prefix: API_KEY_PREFIX, cursor });
+    keys.push(...await Promise.all(page.keys.map(({ name }) => env.TASK_INFO_KV.get(name, { type: 'json' }))));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys.filter(Boolean).map(describeKey).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Returns false when there was no such key.
+export async function revokeApiKey(env, id) {
+  const storageKey = `${API_KEY_PREFIX}${id}`;
+  if (!(await env.TASK_INFO_KV.get(storageKey))) return false;
+  await env.TASK_INFO_KV.delete(storageKey);
+  return true;
+}
+
+// Looks up the key behind an `Authorization: Bearer` value. Returns the key
+// (without its hash) or null.
+export async function verifyApiKey(env, apiKey) {
+  const match = KEY_PATTERN.exec(apiKey);
+  if (!match) return null;
+  const [, id, secret] = match;
+  const key = await env.TASK_INFO_KV.get(`${API_KEY_PREFIX}${id}`, { type: 'json' });
+  if (!key || key.hash !== await sha256Hex(secret)) return null;
+  return describeKey(key);
+}
+
+// Records that a verified key was accepted for a request.
+export async function recordApiKeyUse(env, key) {
+  const now = Date.now();
+  if (key.lastUsedAt && now - Date.parse(key.lastUsedAt) <= LAST_USED_RESOLUTION_MS) return;
+  const storageKey = `${API_KEY_PREFIX}${key.id}`;
+  const stored = await env.TASK_INFO_KV.get(storageKey, { type: 'json' });
+  if (!stored) return;
+  await env.TASK_INFO_KV.put(storageKey, JSON.stringify({ ...stored, lastUsedAt: new Date(now).toISOString() }));
+}
@@ -0,0 +1,131 @@
+import { errorResponse } from './errors.js';
+import { API_KEY_SCOPES, verifyApiKey, recordApiKeyUse } from './api-keys.js';
+
+// Magic-link sign-in. Allowed users are KV entries `user:<email>`. A sign-in
+// link carries a single-use token stored as `login:<token>`; following it
+// creates a session `session:<id>`, whose id the browser keeps in an HttpOnly
+// cookie signed with SESSION_SECRET.
+const USER_PREFIX = 'user:';
+const LOGIN_PREFIX = 'login:';
+const SESSION_PREFIX = 'session:';
+const SESSION_COOKIE = 'session';
+export const LOGIN_TTL_SECONDS = 15 * 60;
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+const randomToken = () => base64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+const signingKey = (env) => crypto.subtle.importKey('raw', encoder.encode(env.SESSION_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export async function getUser(env, email) {
+  return env.TASK_INFO_KV.get(`${USER_PREFIX}${normalizeEmail(email)}`, { type: 'json' });
+}
+
+export async function createLoginToken(env, email) {
+  const token = randomToken();
+  await env.TASK_INFO_KV.put(`${LOGIN_PREFIX}${token}`, JSON.stringify({ email: normalizeEmail(email) }), { expirationTtl: LOGIN_TTL_SECONDS });
+  return token;
+}
+
+// Returns the email a sign-in token was issued for and uses the token up, or
+// null for unknown and expired tokens.
+export async function redeemLoginToken(env, token) {
+  const key = `${LOGIN_PREFIX}${token}`;
+  const login = await env.TASK_INFO_KV.get(key, { type: 'json' });
+  if (!login) return null;
+  await env.TASK_INFO_KV.delete(key);
+  return login.email;
+}
+
+// Set-Cookie value for the session cookie; an empty value clears it. Secure is
+// left off for plain-http local development.
+export function sessionCookie(request, value) {
+  const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+  const maxAge = value ? SESSION_TTL_SECONDS : 0;
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+// Starts a session and returns the signed cookie value for it.
+export async function createSession(env, email) {
+  const id = randomToken();
+  await env.TASK_INFO_KV.put(`${SESSION_PREFIX}${id}`, JSON.stringify({ email, createdAt: new Date().toISOString() }), { expirationTtl: SESSION_TTL_SECONDS });
+  const signature = await crypto.subtle.sign('HMAC', await signingKey(env), encoder.encode(id));
+  return `${id}.${base64Url(signature)}`;
+}
+
+const readCookie = (request, name) => request.headers.get('Cookie')?.split(';')
+  .map(part => part.trim().split('='))
+  .find(([key]) => key === name)?.[1] || null;
+
+// The session behind the request's cookie, or null when there is none, its
+// signature does not match or it has expired.
+export async function getSession(request, env) {
+  const [id, signature] = (readCookie(request, SESSION_COOKIE) || '').split('.');
+  if (!id || !signature) return null;
+  try {
+    if (!(await crypto.subtle.verify('HMAC', await signingKey(env), fromBase64Url(signature), encoder.encode(id)))) return null;
+  } catch {
+    return null;
+  }
+  const session = await env.TASK_INFO_KV.get(`${SESSION_PREFIX}${id}`, { type: 'json' });
+  return session && { id, ...session };
+}
+
+export async function destroySession(env, session) {
+  await env.TASK_INFO_KV.delete(`${SESSION_PREFIX}${session.id}`);
+}
+
+// Every /ai route starts with this. Requests carrying `Authorization: Bearer`
+// are checked as API keys and act for the admin who issued the key, limited to
+// the key's scopes, for as long as that admin is still a listed admin;
+// otherwise the session cookie must belong to a user who is still on the user
+// list, and browser sessions have every scope. Returns { user }, or
+// { response } with a 401 or 403 to send back. Routes whose scope depends on
+// the request body leave `scope` out and call requireScope later.
+export async function requireUser(request, env, scope) {
+  const authorization = request.headers.get('Authorization');
+  let user;
+  if (authorization) {
+    const key = await verifyApiKey(env, authorization.replace(/^Bearer\s+/i, ''));
+    if (!key) return { response: errorResponse('auth', 'Invalid or revoked API key.') };
+    const issuer = await getUser(env, key.createdBy);
+    if (!issuer?.admin) return { response: errorResponse('auth', 'The admin who issued this API key no longer has access.') };
+    await recordApiKeyUse(env, key);
+    user = { email: key.createdBy, apiKeyId: key.id, scopes: key.scopes };
+  } else {
+    const session = await getSession(request, env);
+    const listed = session && await getUser(env, session.email);
+    if (!listed) return { response: errorResponse('auth', 'Sign in required.') };
+    user = { ...listed, email: session.email, scopes: API_KEY_SCOPES };
+  }
+
+  const response = scope && requireScope(user, scope);
+  return response ? { response } : { user };
+}
+
+export function requireScope(user, scope) {
+  if (user.scopes.includes(scope)) return null;
+  return errorResponse('auth', `This API key does not have the "${scope}" scope.`, { status: 403 });
+}
+
+// Cancelling and deleting are limited to the user who started the job, and to
+// admins signed in with a session (API keys carry no admin rights).
+export function requireJobOwner(user, record) {
+  if (record.user === user.email || user.admin) return null;
+  return errorResponse('auth', 'Only the user who started this job or an admin can change it.', { status: 403 });
+}
+
+// The key-management routes are for signed-in admins only; API keys cannot
+// issue other keys.
+export async function requireAdmin(request, env) {
+  const session = await getSession(request, env);
+  const user = session && await getUser(env, session.email);
+  if (!user) return { response: errorResponse('auth', 'Sign in required.') };
+  if (!user.admin) return { response: errorResponse('auth', 'Admins only.', { status: 403 }) };
+  return { user: { ...user, email: session.email } };
+}
@@ -0,0 +1,69 @@
+import { startVideoJob } from './generate.js';
+import { checkTaskStatus } from './status.js';
+
+// A batch is one submission of several source images × prompts × seeds. Its
+// record lives in TASK_INFO_KV under `batch:<id>` and lists one cell per
+// combination, pointing at the job started for it. The jobs themselves are
+// ordinary job records with a `batchId`.
+const BATCH_PREFIX = 'batch:';
+// Each job costs a provider call and a few KV writes, so this keeps a batch
+// well inside the per-request subrequest limit.
+export const MAX_BATCH_JOBS = 40;
+
+export async function getBatchRecord(env, batchId) {
+  return env.TASK_INFO_KV.get(`${BATCH_PREFIX}${batchId}`, { type: 'json' });
+}
+
+// Starts one video job per combination and writes the batch record. Jobs are
+// started one at a time; a cell that fails to start keeps its error and does
+// not stop the rest. Without seeds every cell gets its own random seed.
+export async function startBatch(env, { imageKeys, prompts, seeds = [], model, duration, ratio, user, project }) {
+  const batchId = crypto.randomUUID();
+  const cells = [];
+
+  for (const [imageIndex, imageKey] of imageKeys.entries()) {
+    for (const [promptIndex, prompt] of prompts.entries()) {
+      for (const seed of seeds.length ? seeds : [undefined]) {
+        const cell = { imageIndex, promptIndex, seed: seed ?? null, taskId: null, error: null, code: null };
+        try {
+          const job = await startVideoJob(env, { imageKey, prompt, model, duration, ratio, seed, batchId, user, project });
+          cell.taskId = job.id;
+          cell.seed = job.seed;
+        } catch (error) {
+          console.error(`Batch ${batchId}: could not start ${imageKey} × "${prompt}":`, error);
+          cell.error = error.message;
+          cell.code = error.code || 'internal';
+        }
+        cells.push(cell);
+      }
+    }
+  }
+
+  const batch = {
+    id: batchId,
+    model,
+    options: { duration, ratio },
+    imageKeys,
+    prompts,
+    cells,
+    createdAt: new Date().toISOString(),
+  };
+  await env.TASK_INFO_KV.put(`${BATCH_PREFIX}${batchId}`, JSON.stringify(batch));
+  return batch;
+}
+
+// Fills each cell with its job's current status, checking pending jobs with the
+// provider the same way a single status poll does.
+export async function getBatchStatus(env, batch, waitUntil) {
+  const cells = await Promise.all(batch.cells.map(async (cell) => {
+    if (!cell.taskId) return { ...cell, status: 'FAILED', progress: null, failure: cell.error, videoUrl: null };
+    try {
+      return { ...cell, ...await checkTaskStatus(env, cell.taskId, waitUntil) };
+    } catch (error) {
+      // One unreachable task should not hide the rest of the grid
+      console.error(`Batch ${batch.id}: status check failed for ${cell.taskId}:`, error);
+      return { ...cell, status: 'UNKNOWN', progress: null, failure: null, code: error.code || 'internal', videoUrl: null };
+    }
+  }));
+  return { ...batch, cells };
+}
@@ -0,0 +1,96 @@
+import { errorResponse } from './errors.js';
+
+// Credit budgets. Spend is tracked per user, or per API key for requests made
+// with one, in TASK_INFO_KV counters `usage:<who>:<yyyy-mm-dd>` and
+// `usage:<who>:<yyyy-mm>` (UTC). Budgets are JSON `{ daily, monthly }` under
+// `budget:<who>`, falling back to `budget:default`; a missing limit means no
+// limit. <who> is the user's email or `key:<apiKeyId>`.
+const BUDGET_PREFIX = 'budget:';
+const USAGE_PREFIX = 'usage:';
+const DAY_TTL_SECONDS = 2 * 24 * 60 * 60;
+const MONTH_TTL_SECONDS = 32 * 24 * 60 * 60;
+
+const PERIODS = [
+  { name: 'daily', ttl: DAY_TTL_SECONDS, key: (now) => now.toISOString().slice(0, 10), resetsAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)) },
+  { name: 'monthly', ttl: MONTH_TTL_SECONDS, key: (now) => now.toISOString().slice(0, 7), resetsAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) },
+];
+
+const principalOf = (user) => (user.apiKeyId ? `key:${user.apiKeyId}` : user.email);
+const usageKey = (principal, periodKey) => `${USAGE_PREFIX}${principal}:${periodKey}`;
+
+async function getLimits(env, principal) {
+  const kv = env.TASK_INFO_KV;
+  return (await kv.get(`${BUDGET_PREFIX}${principal}`, { type: 'json' }))
+    || (await kv.get(`${BUDGET_PREFIX}default`, { type: 'json' }))
+    || {};
+}
+
+// The user's budgets for the current day and month: { daily, monthly }, each
+// { limit, used, remaining, resetsAt }. limit and remaining are null when
+// there is no limit.
+export async function getBudget(env, user, now = new Date()) {
+  const principal = principalOf(user);
+  const limits = await getLimits(env, principal);
+  const entries = await Promise.all(PERIODS.map(async (period) => {
+    const used = Number(await env.TASK_INFO_KV.get(usageKey(principal, period.key(now)))) || 0;
+    const limit = Number.isFinite(limits[period.name]) ? limits[period.name] : null;
+    return [period.name, {
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      resetsAt: period.resetsAt(now).toISOString(),
+    }];
+  }));
+  return Object.fromEntries(entries);
+}
+
+async function addUsage(env, principal, periodKeys, credits) {
+  const kv = env.TASK_INFO_KV;
+  await Promise.all(PERIODS.map(async (period) => {
+    const key = usageKey(principal, periodKeys[period.name]);
+    const used = Number(await kv.get(key)) || 0;
+    await kv.put(key, String(Math.max(used + credits, 0)), { expirationTtl: period.ttl });
+  }));
+}
+
+// Books `credits` against the user's budgets. Returns { charge } to pass to
+// refundCredits if the work does not go ahead, or { response } with a 402 when
+// a budget would be exceeded. KV has no atomic increment, so starts racing each
+// other can overshoot a budget by a job or so.
+export async function chargeCredits(env, user, credits) {
+  const now = new Date();
+  const budget = await getBudget(env, user, now);
+  for (const period of PERIODS) {
+    const { limit, remaining, resetsAt } = budget[period.name];
+    if (limit !== null && credits > remaining) {
+      const error = `This needs ${credits} credits but only ${remaining} of your ${period.name} budget of ${limit} are left. It resets at ${resetsAt}.`;
+      return { response: errorResponse('quota', error, { budget, status: 402 }) };
+    }
+  }
+
+  const charge = { principal: principalOf(user), credits, periodKeys: Object.fromEntries(PERIODS.map(period => [period.name, period.key(now)])) };
+  await addUsage(env, charge.principal, charge.periodKeys, credits);
+  return { charge };
+}
+
+// Gives back some or all of a charge, to the same day and month it was taken from.
+export async function refundCredits(env, charge, credits = charge.credits) {
+  if (credits > 0) await addUsage(env, charge.principal, charge.periodKeys, -credits);
+}
+
+// Runs `start` (which returns a Response) with `credits` booked against the
+// user's budgets, refunding them when it throws or responds with an error.
+export async function withCredits(env, user, credits, start) {
+  const { charge, response } = await chargeCredits(env, user, credits);
+  if (response) return response;
+
+  let result;
+  try {
+    result = await start();
+  } catch (error) {
+    await refundCredits(env, charge);
+    throw error;
+  }
+  if (!result.ok) await refundCredits(env, charge);
+  return result;
+}
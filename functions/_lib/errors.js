@@ -0,0 +1,72 @@
+import { jsonResponse } from './http.js';
+
+// Error codes sent as `code` in every failed /ai response, with the HTTP
+// status each gets unless the error says otherwise. Clients switch on the code;
+// `error` is the human-readable message.
+export const ERROR_STATUSES = {
+  validation: 400,
+  auth: 401,
+  quota: 429,
+  not_found: 404,
+  conflict: 409,
+  // The provider refused the request or the job failed there
+  upstream_rejected: 422,
+  // The provider's content moderation blocked the prompt, an image or the output
+  moderation: 422,
+  // The provider could not be reached, was overloaded or failed on its side
+  upstream_unavailable: 503,
+  storage_failed: 500,
+  internal: 500,
+};
+
+// An Error with an error code, for code below the handlers to throw.
+// `details` are extra response fields; a `status` among them overrides the
+// code's default status.
+export function apiError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, details });
+}
+
+// A `retryAfter` detail, in seconds, is also sent as a Retry-After header.
+export function errorResponse(code, message, { status = ERROR_STATUSES[code], ...details } = {}) {
+  const response = jsonResponse({ success: false, code, error: message, ...details }, status);
+  if (details.retryAfter) response.headers.set('Retry-After', String(details.retryAfter));
+  return response;
+}
+
+// The response for an error caught by a handler. Errors without a code are
+// unexpected and reported as internal. Only 5xx errors are logged; the rest are
+// the client's to fix.
+export function errorResponseFor(error) {
+  const response = Object.hasOwn(ERROR_STATUSES, error.code ?? '')
+    ? errorResponse(error.code, error.message, error.details)
+    : errorResponse('internal', error.message);
+  if (response.status >= 500) console.error(error);
+  return response;
+}
+
+// Request bodies that cannot be parsed are the client's mistake, not ours.
+export async function readJsonBody(request) {
+  const body = await request.json().catch(() => null);
+  if (!body || typeof body !== 'object') throw apiError('validation', 'Malformed request body.');
+  return body;
+}
+
+export async function readFormData(request) {
+  return request.formData().catch(() => {
+    throw apiError('validation', 'Malformed request body.');
+  });
+}
+
+// Multipart fields that must be text; a file part in their place is rejected.
+export function checkTextFields(formData, names) {
+  const files = names.filter(name => formData.getAll(name).some(value => typeof value !== 'string'));
+  if (files.length) throw apiError('validation', `These fields must be text, not files: ${files.join(', ')}.`);
+}
+
+// Runway's failureCode for a failed task, as an error code: SAFETY.* codes
+// are moderation, INTERNAL.* codes are failures on Runway's side worth retrying.
+export function failureErrorCode(failureCode) {
+  if (/SAFETY/.test(failureCode || '')) return 'moderation';
+  if (/^INTERNAL/.test(failureCode || '')) return 'upstream_unavailable';
+  return 'upstream_rejected';
+}
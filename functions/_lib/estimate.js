@@ -0,0 +1,48 @@
+import { listTaskRecords } from './tasks.js';
+import { getBudget } from './budgets.js';
+import { getModel, validateGenerationOptions, videoCredits } from '../../shared/models.js';
+
+// How many recent successful jobs to look through, and how many matching ones
+// are needed before their times are trusted over the catalog's figure.
+const TURNAROUND_SAMPLE_JOBS = 50;
+const MIN_TURNAROUND_SAMPLES = 3;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Expected seconds from start to finished clip: the median of recent successful
+// jobs with the same model and duration, or the model's typical figure while
+// there are too few of those.
+export async function estimateTurnaround(env, { model, duration }) {
+  const { jobs } = await listTaskRecords(env, { status: 'SUCCEEDED', limit: TURNAROUND_SAMPLE_JOBS });
+  const samples = jobs
+    .filter(job => job.kind !== 'image' && job.model === model && Number(job.options?.duration) === Number(duration) && job.finishedAt)
+    .map(job => (Date.parse(job.finishedAt) - Date.parse(job.createdAt)) / 1000);
+
+  if (samples.length >= MIN_TURNAROUND_SAMPLES) {
+    return { seconds: Math.round(median(samples)), basis: 'recent', samples: samples.length };
+  }
+  return { seconds: getModel(model).typicalTurnaroundSeconds, basis: 'typical', samples: samples.length };
+}
+
+// Preflight for a video start: the same option fields as the multipart start,
+// without the images. Returns validation errors, the credit cost, the expected
+// turnaround and whether the cost fits the caller's budget. Options that would
+// be rejected have no cost, so credits and withinBudget are null for them.
+export async function estimateGeneration(env, user, { model, duration, ratio, prompt, seed, mode = 'single', endImageKey, upscale }) {
+  const hasEndFrame = mode === 'keyframes' || Boolean(endImageKey);
+  const errors = validateGenerationOptions({ model, duration, ratio, prompt, seed, mode, hasEndFrame });
+  // The 4K upscale step of the early prototype was never carried over
+  if (upscale && upscale !== 'false') errors.push('Upscaling is not available.');
+
+  if (!getModel(model)) return { valid: false, errors, credits: null, turnaround: null, budget: null, withinBudget: null };
+
+  const valid = !errors.length;
+  const credits = valid ? videoCredits({ model, duration }) : null;
+  const [turnaround, budget] = await Promise.all([estimateTurnaround(env, { model, duration }), getBudget(env, user)]);
+  const withinBudget = valid ? Object.values(budget).every(({ remaining }) => remaining === null || credits <= remaining) : null;
+  return { valid, errors, credits, turnaround, budget, withinBudget };
+}
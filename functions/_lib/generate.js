@@ -0,0 +1,114 @@
+import { getProvider } from './providers/index.js';
+import { createTaskRecord } from './tasks.js';
+import { buildKey, isSafeKey, slugify } from './keys.js';
+import { apiError } from './errors.js';
+import { MAX_SEED } from '../../shared/models.js';
+
+const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+const baseName = (key) => {
+  const name = key.split('/').pop();
+  return name.split('.').slice(0, -1).join('.') || name;
+};
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+// uploads/…/<sha256 of the bytes>.<ext>
+const CONTENT_KEY_PATTERN = /^uploads\/(?:.+\/)?([0-9a-f]{64})\.\w+$/;
+
+const sha256Hex = async (bytes) => [...new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))]
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// Stores an image checked by readImageUpload under uploads/, keyed by the
+// SHA-256 of its bytes by default, and returns its R2 key. Uploading the same
+// image again reuses the stored object.
+export async function storeUpload(env, { bytes, type, name }, { user, project } = {}) {
+  const key = buildKey(env, 'upload', { hash: await sha256Hex(bytes), ext: IMAGE_EXTENSIONS[type], name: name && baseName(name), user, project });
+  if (!(await env.IMAGE_BUCKET.head(key))) {
+    await env.IMAGE_BUCKET.put(key, bytes, { httpMetadata: { contentType: type } }).catch((error) => {
+      throw apiError('storage_failed', `Could not store the uploaded image in R2: ${error.message}`);
+    });
+  }
+  return key;
+}
+
+// The content hash of a source image. Content-addressed keys carry it; older
+// uploads and text-to-image results are read back and hashed.
+export async function imageHashOf(env, key) {
+  const match = key.match(CONTENT_KEY_PATTERN);
+  if (match) return match[1];
+  const object = await env.IMAGE_BUCKET.get(key);
+  return object ? sha256Hex(await object.arrayBuffer()) : undefined;
+}
+
+// Source images may only come from uploads/, either an earlier upload or a
+// text-to-image result, and must be well-formed keys.
+export async function sourceImageExists(env, key) {
+  return isSafeKey(key) && key.startsWith('uploads/') && Boolean(await env.IMAGE_BUCKET.head(key));
+}
+
+// Starts an image-to-video job from images already in R2 and returns its new
+// record. `endImageKey` is optional and becomes the last keyframe; in loop mode
+// the start image is used as the last keyframe too. `parentTaskId` links a
+// continuation to the clip it extends, `rerunOf` a re-run to the job it repeats
+// and `batchId` a batch cell to its batch. A random seed is picked when none is
+// given. `user` is the signed-in user's email and `project` an optional label;
+// both are recorded and available to the R2 key templates.
+export async function startVideoJob(env, { mode = 'single', imageKey, endImageKey, parentTaskId, rerunOf, batchId, user, project, prompt, model, duration, ratio, seed }) {
+  if (mode === 'loop') endImageKey = imageKey;
+  const provider = getProvider(env);
+  const input = {
+    model,
+    prompt,
+    imageUrl: `${env.R2_PUBLIC_URL}/${imageKey}`,
+    endImageUrl: endImageKey ? `${env.R2_PUBLIC_URL}/${endImageKey}` : null,
+    seed: seed ?? randomSeed(),
+    duration,
+    ratio,
+  };
+
+  // Named after a short prefix of the source image's key. Built before the
+  // paid provider call so a bad key template fails first.
+  const videoKey = buildKey(env, 'video', { name: baseName(imageKey).slice(0, 12), ext: 'mp4', user, project });
+  const sourceImageHash = await imageHashOf(env, imageKey);
+  const task = await provider.createTask(input);
+  return createTaskRecord(env, task.id, {
+    provider: provider.name,
+    status: task.status,
+    videoKey,
+    sourceImageKey: imageKey,
+    sourceImageHash,
+    endImageKey: endImageKey || undefined,
+    parentTaskId: parentTaskId || undefined,
+    rerunOf: rerunOf || undefined,
+    batchId: batchId || undefined,
+    user,
+    project: project ? slugify(project) : undefined,
+    prompt,
+    model,
+    seed: input.seed,
+    mode,
+    options: { duration, ratio },
+  });
+}
+
+// Starts a text-to-image job whose result is stored under uploads/ so it can be
+// animated like an uploaded image. Returns the new record.
+export async function startImageJob(env, { prompt, model, ratio, user, project }) {
+  const provider = getProvider(env);
+  const seed = randomSeed();
+  const imageKey = buildKey(env, 'image', { name: 'generated', ext: 'png', user, project });
+  const task = await provider.createImageTask({ model, prompt, ratio, seed });
+  return createTaskRecord(env, task.id, {
+    kind: 'image',
+    provider: provider.name,
+    status: task.status,
+    imageKey,
+    prompt,
+    model,
+    seed,
+    user,
+    project: project ? slugify(project) : undefined,
+    options: { ratio },
+  });
+}
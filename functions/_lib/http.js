@@ -0,0 +1,16 @@
+// The app is served from the same origin and signs in with a cookie, so no
+// Access-Control-Allow-Origin is sent and other sites cannot read responses.
+export const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+export const corsPreflight = (methods) => new Response(null, { headers: { 'Access-Control-Allow-Methods': methods, 'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Runway-Version, Idempotency-Key' } });
+
+// Returns a 500 response when a required binding is missing, otherwise null.
+// The API key is not needed when VIDEO_PROVIDER=mock.
+export function checkBindings(env) {
+  if ((!env.RUNWAYML_API_KEY && env.VIDEO_PROVIDER !== 'mock') || !env.R2_PUBLIC_URL || !env.IMAGE_BUCKET || !env.TASK_INFO_KV || !env.SESSION_SECRET) {
+    const errorMsg = 'CRITICAL FIX REQUIRED: Check Cloudflare project settings for API Key, R2 Public URL, R2 Bucket Binding, KV Namespace Binding (TASK_INFO_KV) and SESSION_SECRET.';
+    console.error(errorMsg);
+    return new Response(JSON.stringify({ success: false, code: 'internal', error: errorMsg }), { status: 500 });
+  }
+  return null;
+}
@@ -0,0 +1,74 @@
+import { jsonResponse } from './http.js';
+import { errorResponse } from './errors.js';
+
+// Remembers the response to a start request under `idempotency:<key>` so a
+// double click or a retried request with the same Idempotency-Key gets the
+// original job back instead of starting (and paying for) another one.
+const IDEMPOTENCY_PREFIX = 'idempotency:';
+const REPLAY_WINDOW_SECONDS = 24 * 60 * 60;
+// How long a request may hold the key while it uploads and starts the job.
+const IN_FLIGHT_TTL_SECONDS = 120;
+const MAX_KEY_LENGTH = 255;
+
+const sha256Hex = async (data) => [...new Uint8Array(await crypto.subtle.digest('SHA-256', data))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// A digest of every form field in order, with files by the digest of their
+// bytes, so a key reused for a different request can be told from a repeat.
+async function fingerprintForm(formData) {
+  const fields = await Promise.all([...formData.entries()].map(async ([name, value]) => (
+    [name, typeof value === 'string' ? value : await sha256Hex(await value.arrayBuffer())]
+  )));
+  return sha256Hex(new TextEncoder().encode(JSON.stringify(fields)));
+}
+
+// Runs `start` at most once per key and `scope` (the user) within the replay
+// window, so users cannot collide with each other's keys. `start` returns
+// a Response; successful JSON bodies are stored and replayed for repeats, while
+// errors release the key so the request can be retried. The key is tied to a
+// fingerprint of `formData`, and reusing it for different fields gets a 422.
+// Like the finalization claim, the in-flight marker is written and read back
+// since KV has no compare-and-swap.
+export async function withIdempotencyKey(env, scope, key, formData, start) {
+  if (!key) return start();
+  if (key.length > MAX_KEY_LENGTH) {
+    return errorResponse('validation', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`);
+  }
+
+  const kv = env.TASK_INFO_KV;
+  const storageKey = `${IDEMPOTENCY_PREFIX}${scope}:${key}`;
+  const fingerprint = await fingerprintForm(formData);
+  const existing = await kv.get(storageKey, { type: 'json' });
+  // Entries stored before fingerprints were kept have none and are trusted
+  if (existing?.fingerprint && existing.fingerprint !== fingerprint) {
+    return errorResponse('conflict', 'This Idempotency-Key was already used for a different request.', { status: 422 });
+  }
+  if (existing?.response) {
+    const replay = jsonResponse(existing.response);
+    replay.headers.set('Idempotent-Replayed', 'true');
+    return replay;
+  }
+
+  const token = crypto.randomUUID();
+  if (!existing) {
+    await kv.put(storageKey, JSON.stringify({ token, fingerprint }), { expirationTtl: IN_FLIGHT_TTL_SECONDS });
+  }
+  if ((await kv.get(storageKey, { type: 'json' }))?.token !== token) {
+    return errorResponse('conflict', 'A request with this Idempotency-Key is still being processed.');
+  }
+
+  let response;
+  try {
+    response = await start();
+  } catch (error) {
+    await kv.delete(storageKey);
+    throw error;
+  }
+
+  if (!response.ok) {
+    await kv.delete(storageKey);
+    return response;
+  }
+  const body = await response.clone().json();
+  await kv.put(storageKey, JSON.stringify({ response: body, fingerprint }), { expirationTtl: REPLAY_WINDOW_SECONDS });
+  return response;
+}
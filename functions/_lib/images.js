@@ -0,0 +1,99 @@
+import { errorResponse } from './errors.js';
+
+// Server-side checks for uploaded source images. The browser's file type and
+// size checks are only a convenience; these decide what reaches the bucket.
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// The real format from the file signature, whatever the request claimed.
+export function sniffImageType(bytes) {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'image/webp';
+  return null;
+}
+
+// Walks the JPEG segments up to the first start-of-frame marker.
+function jpegDimensions(view) {
+  let offset = 2;
+  while (offset + 9 < view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return null;
+    const marker = view.getUint8(offset + 1);
+    // Fill bytes and markers without a length field
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC) which share the range
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+function pngDimensions(view, bytes) {
+  if (view.byteLength < 24 || !startsWith(bytes, ascii('IHDR'), 12)) return null;
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+// Lossy (VP8), lossless (VP8L) and extended (VP8X) WebP each keep the size elsewhere.
+function webpDimensions(view, bytes) {
+  if (view.byteLength < 30) return null;
+  if (startsWith(bytes, ascii('VP8 '), 12)) {
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  }
+  if (startsWith(bytes, ascii('VP8L'), 12)) {
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (startsWith(bytes, ascii('VP8X'), 12)) {
+    const uint24 = (offset) => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return { width: uint24(24) + 1, height: uint24(27) + 1 };
+  }
+  return null;
+}
+
+export function imageDimensions(bytes, type) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (type === 'image/jpeg') return jpegDimensions(view);
+  if (type === 'image/png') return pngDimensions(view, bytes);
+  if (type === 'image/webp') return webpDimensions(view, bytes);
+  return null;
+}
+
+// Reads and checks one uploaded image for `spec`, a model from the catalog.
+// Returns { image: { bytes, type, width, height, name } } ready for storeUpload, or
+// { response } with a 413 or 400 naming the form field.
+export async function readImageUpload(file, field, spec) {
+  const reject = (error, status = 400) => ({ response: errorResponse('validation', error, { errors: [error], field, status }) });
+
+  if (typeof file === 'string') return reject(`${field} must be a file upload.`);
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return reject(`${field} is ${(file.size / 1024 / 1024).toFixed(1)}MB; the limit is ${MAX_UPLOAD_BYTES / 1024 / 1024}MB.`, 413);
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const type = sniffImageType(bytes);
+  if (!type) return reject(`${field} is not a JPEG, PNG or WebP image.`);
+
+  const dimensions = imageDimensions(bytes, type);
+  if (!dimensions || !dimensions.width || !dimensions.height) return reject(`${field} could not be read as a ${type.split('/')[1].toUpperCase()} image.`);
+
+  const { width, height } = dimensions;
+  if (Math.min(width, height) < spec.minImageSide) {
+    return reject(`${field} is ${width}x${height}; ${spec.label} needs at least ${spec.minImageSide}px on each side.`);
+  }
+  if (Math.max(width, height) / Math.min(width, height) > spec.maxImageAspect) {
+    return reject(`${field} is ${width}x${height}; ${spec.label} accepts aspect ratios up to ${spec.maxImageAspect}:1.`);
+  }
+
+  return { image: { bytes, type, width, height, name: file.name } };
+}
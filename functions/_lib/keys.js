@@ -0,0 +1,65 @@
+// Every object key written to IMAGE_BUCKET is built here. Text that came from a
+// request (file names, project names) only reaches a key as a bounded slug, and
+// each kind of object stays under its own prefix whatever the template says.
+//
+// The part after the prefix comes from a template, overridable per kind with
+// R2_UPLOAD_KEY_TEMPLATE, R2_VIDEO_KEY_TEMPLATE and R2_IMAGE_KEY_TEMPLATE.
+// Placeholders: {yyyy} {mm} {dd} (UTC), {timestamp}, {rand}, {user}, {project},
+// {name}, {hash} (uploads only) and {ext}.
+const KEY_KINDS = {
+  upload: { prefix: 'uploads/', envVar: 'R2_UPLOAD_KEY_TEMPLATE', template: '{hash}.{ext}' },
+  video: { prefix: 'videos/', envVar: 'R2_VIDEO_KEY_TEMPLATE', template: '{timestamp}-{rand}-{name}.{ext}' },
+  // Text-to-image results are source images, so they live next to uploads
+  image: { prefix: 'uploads/', envVar: 'R2_IMAGE_KEY_TEMPLATE', template: '{timestamp}-{rand}-{name}.{ext}' },
+};
+
+const MAX_SLUG_LENGTH = 48;
+const MAX_KEY_LENGTH = 512;
+// Slash-separated segments that each start with a letter or digit, so no empty,
+// `.` or `..` segments and no leading slash
+const SAFE_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*$/i;
+
+// Lowercase ASCII letters, digits and single hyphens, at most `maxLength` long.
+export function slugify(text, maxLength = MAX_SLUG_LENGTH, fallback = 'file') {
+  const slug = String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+}
+
+export const isSafeKey = (key) => typeof key === 'string' && key.length <= MAX_KEY_LENGTH && SAFE_KEY_PATTERN.test(key);
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Builds the key for a new object of `kind`. `values` may carry name, user,
+// project, hash and ext. Throws on a template that uses an unknown placeholder
+// or yields an unsafe key, so a bad setting fails loudly instead of writing
+// objects somewhere unexpected.
+export function buildKey(env, kind, values = {}) {
+  const { prefix, envVar, template: defaultTemplate } = KEY_KINDS[kind];
+  const template = env[envVar] || defaultTemplate;
+  const now = new Date();
+  const fields = {
+    yyyy: String(now.getUTCFullYear()),
+    mm: pad(now.getUTCMonth() + 1),
+    dd: pad(now.getUTCDate()),
+    timestamp: String(now.getTime()),
+    rand: crypto.randomUUID().slice(0, 8),
+    user: slugify(values.user, MAX_SLUG_LENGTH, 'anonymous'),
+    project: slugify(values.project, MAX_SLUG_LENGTH, 'default'),
+    name: slugify(values.name),
+    hash: values.hash && /^[0-9a-f]+$/.test(values.hash) ? values.hash : undefined,
+    ext: slugify(values.ext, 8, 'bin'),
+  };
+
+  const key = prefix + template.replace(/\{(\w+)\}/g, (placeholder, field) => {
+    if (fields[field] === undefined) throw new Error(`${envVar} uses ${placeholder}, which is not available for ${kind} keys.`);
+    return fields[field];
+  });
+  if (!isSafeKey(key)) throw new Error(`${envVar} produced an unsafe object key: ${key}`);
+  return key;
+}
@@ -0,0 +1,28 @@
+import { apiError } from './errors.js';
+
+// Sends mail for sign-in links. With MAILER_WEBHOOK_URL set, each message is
+// POSTed there as JSON ({ to, subject, text }) for whichever mail service sits
+// behind it, with MAILER_WEBHOOK_TOKEN as a bearer token if given. MAILER=log
+// (implied by VIDEO_PROVIDER=mock) only logs messages instead, for development;
+// the links in them sign anyone who can read the logs in, so there is no
+// fallback to it.
+const logsMail = (env) => env.MAILER === 'log' || env.VIDEO_PROVIDER === 'mock';
+
+// Throws when mail cannot be sent at all, so callers can fail the same way
+// whoever the message was for.
+export function checkMailer(env) {
+  if (!logsMail(env) && !env.MAILER_WEBHOOK_URL) throw apiError('internal', 'Sign-in mail is not set up: set MAILER_WEBHOOK_URL, or MAILER=log for development.');
+}
+
+export async function sendMail(env, message) {
+  checkMailer(env);
+  if (logsMail(env)) {
+    console.log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    return;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.MAILER_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${env.MAILER_WEBHOOK_TOKEN}`;
+  const response = await fetch(env.MAILER_WEBHOOK_URL, { method: 'POST', headers, body: JSON.stringify(message) });
+  if (!response.ok) throw new Error(`Mailer webhook responded with ${response.status}.`);
+}
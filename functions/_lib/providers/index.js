@@ -0,0 +1,27 @@
+import { createRunwayProvider } from './runway.js';
+import { createMockProvider } from './mock.js';
+
+// Generation backends. Every provider exposes the same interface:
+//   createTask({ model, prompt, imageUrl, endImageUrl, seed, duration, ratio }) -> task
+//   createImageTask({ model, prompt, ratio, seed }) -> task (text-to-image)
+//   getTask(taskId) -> task
+//   cancelTask(taskId)
+//   fetchOutput(outputUrl) -> Response with the generated file
+// where a task is normalized to
+//   { id, status, progress, outputUrl, failure, failureCode }
+// and status is one of PENDING, THROTTLED, RUNNING, SUCCEEDED, FAILED, CANCELLED.
+const PROVIDERS = {
+  runway: createRunwayProvider,
+  mock: createMockProvider,
+};
+
+export const DEFAULT_PROVIDER = 'runway';
+
+// Picks the provider named by `name` (e.g. the one stored on a job record), or
+// the one configured with VIDEO_PROVIDER.
+export function getProvider(env, name) {
+  const providerName = name || env.VIDEO_PROVIDER || DEFAULT_PROVIDER;
+  const factory = Object.hasOwn(PROVIDERS, providerName) ? PROVIDERS[providerName] : null;
+  if (!factory) throw new Error(`Unknown video provider "${providerName}".`);
+  return factory(env);
+}
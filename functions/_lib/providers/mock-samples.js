@@ -0,0 +1,156 @@
+// 3 second 320x192 H.264 test pattern returned as the output of every mock task.
+const SAMPLE_VIDEO_BASE64 = [
+  'AAAAIGZ0eXBpc29tAAACAGlzb21pc28yYXZjMW1wNDEAAAOhbW9vdgAAAGxtdmhkAAAAAAAAAAAAAAAAAAAD6AAAC7gAAQAAAQAA',
+  'AAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgAA',
+  'Ast0cmFrAAAAXHRraGQAAAADAAAAAAAAAAAAAAABAAAAAAAAC7gAAAAAAAAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAABAAAA',
+  'AAAAAAAAAAAAAABAAAAAAUAAAADAAAAAAAAkZWR0cwAAABxlbHN0AAAAAAAAAAEAAAu4AAAAAAABAAAAAAJDbWRpYQAAACBtZGhk',
+  'AAAAAAAAAAAAAAAAAAAwAAAAkABVxAAAAAAALWhkbHIAAAAAAAAAAHZpZGUAAAAAAAAAAAAAAABWaWRlb0hhbmRsZXIAAAAB7m1p',
+  'bmYAAAAUdm1oZAAAAAEAAAAAAAAAAAAAACRkaW5mAAAAHGRyZWYAAAAAAAAAAQAAAAx1cmwgAAAAAQAAAa5zdGJsAAAApnN0c2QA',
+  'AAAAAAAAAQAAAJZhdmMxAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAAAAUAAwABIAAAASAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAAAA',
+  'AAAAAAAAAAAAAAAAAAAAGP//AAAAMGF2Y0MBQsAL/+EAGGdCwAvZAUGbARAAAAMAEAAAAwGA8UKkgAEABWjLgJSyAAAAEHBhc3AA',
+  'AAABAAAAAQAAABhzdHRzAAAAAAAAAAEAAAAkAAAEAAAAABRzdHNzAAAAAAAAAAEAAAABAAAAHHN0c2MAAAAAAAAAAQAAAAEAAAAk',
+  'AAAAAQAAAKRzdHN6AAAAAAAAAAAAAAAkAAAKZgAAAI4AAACGAAAAgAAAAH0AAACGAAAAhAAAAIYAAABzAAAAfgAAAIAAAACVAAAA',
+  '+wAAAH0AAACOAAAAfgAAAH4AAACGAAAAggAAAJsAAAB/AAAAfAAAAIIAAACNAAABGgAAAJIAAACJAAAAawAAAHsAAAB6AAAAagAA',
+  'AIUAAACIAAAAawAAAFwAAABoAAAAFHN0Y28AAAAAAAAAAQAAA9EAAABidWR0YQAAAFptZXRhAAAAAAAAACFoZGxyAAAAAAAAAABt',
+  'ZGlyYXBwbAAAAAAAAAAAAAAAAC1pbHN0AAAAJal0b28AAAAdZGF0YQAAAAEAAAAATGF2ZjU4LjI0LjEwMAAAAAhmcmVlAAAc/21k',
+  'YXQAAAJxBgX//23cRem95tlIt5Ys2CDZI+7veDI2NCAtIGNvcmUgMTU3IHIyOTM1IDU0NWRlMmYgLSBILjI2NC9NUEVHLTQgQVZD',
+  'IGNvZGVjIC0gQ29weWxlZnQgMjAwMy0yMDE4IC0gaHR0cDovL3d3dy52aWRlb2xhbi5vcmcveDI2NC5odG1sIC0gb3B0aW9uczog',
+  'Y2FiYWM9MCByZWY9MyBkZWJsb2NrPTE6MDowIGFuYWx5c2U9MHgxOjB4MTExIG1lPWhleCBzdWJtZT03IHBzeT0xIHBzeV9yZD0x',
+  'LjAwOjAuMDAgbWl4ZWRfcmVmPTEgbWVfcmFuZ2U9MTYgY2hyb21hX21lPTEgdHJlbGxpcz0xIDh4OGRjdD0wIGNxbT0wIGRlYWR6',
+  'b25lPTIxLDExIGZhc3RfcHNraXA9MSBjaHJvbWFfcXBfb2Zmc2V0PS0yIHRocmVhZHM9MSBsb29rYWhlYWRfdGhyZWFkcz0xIHNs',
+  'aWNlZF90aHJlYWRzPTAgbnI9MCBkZWNpbWF0ZT0xIGludGVybGFjZWQ9MCBibHVyYXlfY29tcGF0PTAgY29uc3RyYWluZWRfaW50',
+  'cmE9MCBiZnJhbWVzPTAgd2VpZ2h0cD0wIGtleWludD0yNTAga2V5aW50X21pbj0xMiBzY2VuZWN1dD00MCBpbnRyYV9yZWZyZXNo',
+  'PTAgcmNfbG9va2FoZWFkPTQwIHJjPWNyZiBtYnRyZWU9MSBjcmY9MzUuMCBxY29tcD0wLjYwIHFwbWluPTAgcXBtYXg9NjkgcXBz',
+  'dGVwPTQgaXBfcmF0aW89MS40MCBhcT0xOjEuMDAAgAAAB+1liIQM8mKAAItsnEQRA4ACNxAvEAALg3//8FwV4ALveloMoh+uhWw1',
+  'J8AjZTecAAt8Js4uqUP+X+NNwAyZzMwTcwCKjMICPQAYAcI2BAgBgHCB4o4IAAwYAYACwJjNhmtPbjRlz23sGAEORRgamN8w2+Si',
+  'ASCM6w2+SiASCM6DPCokAAQwaCBAAEBhDAABG4QjvEQRA4AEfiAtEAALA8RBOKxzGAKJxEgoAAkbRwABHfjgACBhJxEEQOABH4gL',
+  'RAACwPEQQvRwZPwDUPE4RwSFAAIwEyyMICPXwA4CfdHeIv84EwgExwAwQABoA4UAsBIMmGhhyNbPiDJhgAhJHGCUpAyNa+ANArvn',
+  'hCSOMEpSB/8/wWlw+ghMDAAFaECBAANwC/mXlkaDeHBcnkZAGg7vzeIhIHAARuIF4gABcCREEYrOuI7V10/7MRWKXJC3AI9fbBvw',
+  'd971uDW4CJqaG6u++BwEuCCBhk1kibWsBaxk8chHfMHjm9iGgzAAOqpg5eIdt+AGaGwdPh0TJMyXrp6Za6eunp64pz8RpN7CIw/6',
+  'Uz+mccGsCBlgQ8v/BNoD9M0cHBvAn/HpHAMoJNVyOii+w3ma7QaNWAu1c4wLnGcA2FenI019kTWwU+FGbfk9IL111/h/sxQ4FuBJ',
+  'xsk29JgNRbrkCVBAsI2BHW89V4MkIAW8LOWsQyFS5h+MAS98tH4f4KxIPy+/7/y8FhBIyBAAFQc08Z33+Z/9hKkLITMwGHTCdPXT',
+  '09dPXT09dPC6CX4FP3c6z/+v+ZHvht+lIcUp7DYj4yIj8A17R6QIkGUIAAmHHPAIHSOj3mvg2mwk9mhCrd/z3g6clqFRwEP7eoXr',
+  'rr/aWFvINC3AAh1beiTaIN6dPD6k4jPlVHy9AcleW1xn8IDYSgBMpu5ssisH6JEKJDBWezsNisbr6eunp66eunp66evp6fCmHA1g',
+  'ATzqezeNf/g6oqqt0R3y94Y/cjf/8eBhOCECE3+iPpheuuvs32IPsLhbX3/Z3/8AAc5dGyaR/vBhKO6skrvu2/91MN109dPT109d',
+  'PT10/wwiIfhsEWDbZB4MzIOQGjIOICdlOICZCAAFACoul3A8xSw8xS/+CT8S4c+AEDLdy/PQ6rm0g4/yA5AbMu95AdLvDzFL+mH/',
+  'XXXtD/+wRBQAB6SvLa4a/Bg/qYZrp66enrp66enrp//x+yggvu/gcQCVl9gH/40FDr8HBAhGmF6666emWunrp6eunrp6eunxh//Y',
+  'eBEHIDRlz///D5QOQBgjL6Ybrrr8JfD7DwWA4QLiDABXJdNrasNMN109dPT109dPT10/iOAf8NgiwOICVkHIDZkckQ6CzLg2hgi7',
+  'yaTcDpjlh0xy+AY/ALQ5wOICdl4CaJ3atUStLw4A4SSPJvDpjl6Yfrrr6U+n7HhaARxur631CXJK22/8/hmVo01q9/4AwLqNk9AP',
+  'wh5nAEzI41ieunrmYSvUK109dPT109r/Ji9rWGL2OWAAsn27LScHXwMzTFO/7uPCOv3/n//38ax6vXNIB0YAAgFIBgABuJAAEB6d',
+  'QOjCIBgDEg4tFA6GCIBIHEgf68qotQOhgyASDiQ/qqqMRwPICQDcQI8m9VVRageQBoASGIEWTSbqqqLUDyANACwxAj/GFULMi1BQ',
+  'gNMEQohAe95rFqJDxARIwbu7+LUSHiAje7u/i1EgeICNGMfVet34tFBikyDghOr1Xrd3vGH/9BowrfFb4iKIILvdx9XsWoHIIAqA',
+  'RFEEL9u7i1A5BAOgEQKIIV73d3Fo4OQA2BwDEBCX4yqlbsYoHRnQCQ4gIJ+3dxaIB0wCQDBiCAX3H1exagdMBIAQDEBCft3cWiiA',
+  '8HCFjQMYVQsy9//j/CAY6hQfdyEfEAWQGAAJUPz7gypaiX//9BjrRrhtwCELygNMDCG3+mntc7CAlK2Py37k0fl/8ek8d69XGfZC',
+  'AlOwQAIjH59AXnvGFl2AA03cQac35C0YQ0oBD6f1t/8YcMFsKLK9QiBqIEgACAPACYHTOWHTOXg1csquX//9DRe/ecjxlAZh+kvO',
+  'Z//4UDDvDAAy3wuYggAWCG6bS6gplnQqB+XFqTAP1nJpN//kIB7BaULn3wOAAYgFEAANgRYMqWUqXg1csquX//9BwX3nIOBw3V6i',
+  'Wol//4B10C4y8LmEEAAhFf/gypf/AMA0C4094fUD9f5N/4BgGgS3qofoH6/4hgGgW3aWIhIDgACALQA34NE5ZUTl/8AGADh0TScA',
+  'r2YgMsAL82CAWMrR+chAAEQIUfgC/Il1Uvg7gG8ow3zEDlSRBbX/AMADBcYPhlvhAsjhdrZoUy8iRS2adGFzoD9f8f6BUcDMxldv',
+  'IZGJZoJYghRADaWmCYqn9P/QLAnAB9599m5PgKQiZHEgMjDfwi0OONbXfz/P9PPHk+QCYCLfr/A/8gEhFsBBAAExoC4p0w3oDEai',
+  'U6YYIqRxA0KQPAzPXTMAuOQ/4IqRxA0KQDMMigAGogNiBEtaYJkxEE8NSlZ1pEKcUAMcAAjEEAUsyzFMU/2szBN6IQIdHG14YB+x',
+  'PcJP+AMjKbIfA4AyMpsh8AemT+vJ+lhATnIEAAbAYc/AR69sAj17Y0I3MsADBbkpm0gAMgtyUzaWzm/+AKBimsRf/4KygBkep6f8',
+  'QZfD9hATMwQABkHFtthMxr7f+rbOIAUDGf8gw5mEl1OgTxwxwBtcAAAAikGaOBngI/lCwDtNM+FRa4s6whBR4JvBRpAqEfBV0CgR',
+  'o8XBR4IKLXBdXuCDwTeC4RwWeCjwWUV+CYQidwQV9wUeGqjBuGPFcv+Dn5fGcEsFNBDM1tcLUIalgroXnqCmhl/o8VKLBPov/gx1',
+  'BPR0ir6XSEd/EIE8mGMQtUEFd2EKgxCVfELJhjwlgAAAAIJBmlQGeApOJQU7OsYIWTBR8FFe4Cgu0JfrV+9MQCGiN4IqE64Cl7RH',
+  '774nn7V+KIXu17wVfBZXfL/+Ce7u7u7jgO/peCnr/L/4L9rwY6Tgj9+CXk8vBe/vTgVaDDbcGJdYwoISgjFqu5r6RG8CNQgifqAT',
+  'f4hArk4YxCycJYhZ6FKgAAAAfEGaYDPAUp1hDBV8FXoCoI6+nQ6/gqq/goq+/BN8E3wxUfeCr0BWr/rXvBN8E09fPp99gehC926L',
+  '3ejd0BWo9eCyiCff0vBXKEiWS+v0V9fSFda8FOl4J9l/wV8EY0far2v9S8Fel4J/gnoh0Rfr8QgRyVDGIWT8Qs9wpUAAAAB5QZqA',
+  'M8Ba4KPgo+Cb4Kvgo+Cj4KPgmoZXgur3go+Cr4KPgo+Cyid4KKEv4JvgoondAVPgq+CaCe7u7u7iE9/S8FPwUwThC93fTpfRf8FK',
+  '1el4Kdl/wU+i/9gr1gpqdEVL57n8mkMoYhDgEuvEIFMlwxiFkrxC1+IWaAAAAIJBmqAzwFrgo+Cj4JqHP0BS9fX1o7HX0/SnxSaD',
+  '1v+vr60Il0vgo9ATvWrdCPWi1rBZ1EJ39LwUwRhJV30oW6pFHoRoBDk0m59PuvSWG0cJpV+fT7S4FOhDuvwKdDK6/BH0uDGCge58',
+  '3fcpeCnSUIQUz3P5NJtL934hB+XhKT8Qs9dQAAAAgEGawDPAWHHy4KPgq+Cr4KvgwnHL59Pvfgo+Cb0BS9fSnPHk0Hrf9P19fX0/',
+  'Wrdfguq/gwo1/BRBPve7uDF7+ngr6CD6zQV8v/g926Bj1qkuBT9fgl68F85WfxHaXg/5f+hKRHPBfBcXVSWS9Iq/r0MAJj5MQgVy',
+  'V+DEdJ+IWf6gAAAAgkGa4DPAWuCj4Kvgo+CheCj0BS9P4KPgo+Cr4Kvgq+Cj4KvgonGL59PvoCd6+ievwJE5BD6qqv/ov+Dn+Cmc',
+  'YjVfh9oftf2vBTXqXgpnJlyGRiX7XgrgoOez3nInI7lF/8G84hv4xLUS0lwU0Li0v16GEG/xCBTJb+CMdJ+IWvxCyfUAAABvQZsA',
+  'M8BYiVkwUfBR8FXoCl6+vp+vr8FXwUfBR8FnwTUM7wTdYKBmvb8F3oCx61rw1BOS97u/f0lwU9L+l9DmOvCCOoH67v9hUvomVLwZ',
+  '7XgprlRf/BTpYUGgnotzS+jRV6Ed/iECuJrxC1+IWT6gAAAAekGbIDPAWuCj4LPgw9gevf396GN39/ao1d/f3+Cr0BWSK/UUr9S9',
+  'av1ErXg4qIXv6L/g5+vBj1+go1rwY0fqXgx9/gT+vBfBHd9yl4MUjNv4s5QEHPEJn68F4o51/GJbNr+gggg4BLn0fl//EIFsl/gt',
+  'HSV4ha4Q+OmgAAAAfEGbQDPAWuCr4KPgo+Cj4KvgkodXgo+Cb4Kvgo+Cj4KPgoiTve9/BR8E1G7wTVy8GFHrwWUavBlW+XwRfhlR',
+  'J7/84UX8+n2vBT1+Cg7s9o976/Qhi14KdF/8FKReteCmU4+1eS6Xg31gtr2/0Q4rrxCBHJ+IWvxC0IWevrwAAACRQZtgM8BYHeXB',
+  'J8FFBLvBR8FXoChOJTrz6ffX1qx19fS9fX19F9fWid4LPgyrXgyrWEFBtpkQh5VVWtf0vBT1mDeccv7Q/LhBEcFz5NJvW3r8Fc4t',
+  '+Q0MS8+n2X/By9CMqXgnVl/wT85Vl0Yl/peCfr6RHPBbOURads+/X9ehHd+IQJ5K+wRjt4P/QhaELPf8dgAAAPdBm4AzwMK4RBAD',
+  '4KhjBpGyKk2WVJsipNkRCAuhDoh3A8ZJYeMkv/ieHBBj2QcEGPZBwgp7IOEFPZeExbDooAdQod4UMH8QwDgtBIISPBtDBF3k0m4H',
+  'THLDpjly/DPBhhg4ME2RQTZfd6FTf4dGWXhfBZ8FXwVCPBV8FFD36AmVrrWujevrRK8FnoCp6+i+oo9T6ff9aL3Qh9fUSprwUQTk',
+  'UXUXUXi//6wVzjkar8Grl8v+ClArgkK7nrvpcv9GOngj68Fel4K65WX/Am9Hel4LUcQ38mjEvlKilVrlBSRF7L/gQREQjRUMUd1A',
+  'JnfiECWT/hKT8QsTAAAAeUGboDPAUh3z8Wd++TBR8FXoCgFuvrQ4ieCb4JPgor3gq+Cicik0m/6AqfBR8FHwUfBN6ApevrRe8FXw',
+  'TQTmrWtSxL/pLC4K1pYK7OZfw+0/wT0Qif/ota8EtEcpeClWX/BT6Xgr1gnop1a/r0KTrXiECmS+XrELPXUAAACKQZvAM8BYnQ5S',
+  'YKvgo+Cj2B8957/Pp99l9r2vf3nJUmk3/f2X3+Cj4LKv2B+9/frBRh3wXQT1F1F1F1FxLif+i/4KfrwU0IfX1Xnrk0KZf14KZyLk',
+  'mWzfS8FOy/4PfS8F/J9pfQnp8D/OWPzmh+X9cFucy79Oa/w5+CKqqp0Z78QgSyf8JSfiFnvqAAAAekGb4DPAWJ0OUmCr4LPgwoje',
+  'CKj1rBF1rwUfBRVjsD57/BV6AoevrVus/3z6ffWe58+t+vr61y8FFe8FUE5lF1F1F1FyxL/peC3r9CLmv7J9/g59LwVqvPX9IYl1',
+  '4K6uUvBrrBXU6a/pcCfgiNWvh3xCBLJ+IWT8Qs/1AAAAekGaADPAUp+EMFXwUfBN8EnWCgJKh1eCj4KPQFL19L4KPgor3go+Cb4L',
+  'KO/gyFeCr0BW+Cb4JIJxVa1qWJ/6L/gn6FPrwTz10ib9fJZf8FK6XgpSuWX/Byui/+Dusby15lS4Kev6X0ckl59Pv/xCBLJ1WCnI',
+  'IWvxCyfUAAAAgkGaIDPAUp+MOhSkwVUM7wVewPHv8FFCX8FVe6AqUTun8FXwUVi8E3wTfBN8F1X8FHwUewPnstC+8FHwXQTilF1F',
+  '1F1FxLif+l4K+v0KrXyV6mTL/grXRf+wUjqf+X/BP6Xgp5P0/ppUy4KanVr9G6vBFVVXOf4hAnk/ELX4haELP9QAAAB+QZpAM8BS',
+  'V5+LO8uCz4LvYHj0BS9aHP19E9fRfWfUmk3/X19fX1q519fS9fgognJF4vF1FyxL/pPgv6f9L/X4J6GPrwYpXp+DECcj91+G57n8',
+  'YlqJdLYOZ7n8pUuBLAp0KOmT0v+TS8ul/ry//QIta86/iECeSvELX4haEc/1AAAAl0GaYDPAUp+U7zHfSfCKN0mCj4KqHd4KPgoE',
+  'b8E1CXPBRXvBV6AqUZ+i/BZQuP4KPQFb19Z9T6ff9ZzJ159Pvpevovr8FkE5K1rUS4n/peCn4KRJxQynTJvy/+DfZf8FZrPzv4NX',
+  'L0X/wW0JytLgt9fgV6CHZPX/B7QsiaXDs5IufW/pfrwRa1OgCf4hAjkvxC1+daEc9dQAAAB7QZqAM8BSHeEcFXwUegJ3r6zjHPn0',
+  '++ievr6+tddfX19fWenXn0fl/VdX0X4JvgognMououououWJf9F/wV9DH0uCnpf68npf4T6XAgpe69LgU6F91+CvrwU0Zyl4OaEd',
+  '4kYheXghGox03+idXqdP8QgTyfiFkvxCz31AAAAAeEGaoDPAUp+Q75+Y7y4Kvgs+Cj4JieCyhX/BV8FXwWfkV/BN6Aoevr8GXwVd',
+  'YKH9AVPRfgq+CiCcRWtVFxLif/845fz6fa8FfXL4+dav/Zf8FvXKl4LXa8E+l4M+viNLxOT1/B6ul9AiIqqvAJ/iECOS6xCyfiOf',
+  '6gAAAH5BmsAzwFId8/IfiBaMvSYLPgm+CjWCr4Kvgq+Cr4KCeCb4Jvgm9gIKiV3o1ZP2/9RBaeCj4KPgq+Cr4JoJ6i6i6i6i5Yl/',
+  '0vBPQ6tf6/R8q9b68FapeCktrlBP+TT4J+PZxA4Bjm4yt/wU0M/r+uwRa1z/4hAjk/ELJ+I5/qAAAACJQZrgM8BUn4zBN8FHsDwT',
+  'te5UEn7znXyaTfa9/goEeCj4Jvgo+CivdAUPWenXj8tfL/gq9gevf4KOsF3RET/0X/BT9Pgp6f+/T4O6FPk978CDwRz2e/P8uX/w',
+  'U1ysv+DHq4S8FM4pds+/W+gr2nQMfX1Swlo47kHPp9/+IQI5P7jt/0daGdIJ/qAAAAEWQZsAM8DCbhhAf48OYNJsg8DEZY4gERvu',
+  '4gIiEAALADoQ6IdwPGSWHjJL/4ngcgGGZByAYZkHEAgzIOIBBmXhM3/+AMEHgcgGGZfLwOQDDMg5AMMyCZgEOH/YegcgGzIOIBFZ',
+  'fN4f/kCZsRwD/hvgcQCVkHIBkZHCRDoFmXBjQwR/4jojuB0ZZYdGWXNgH/2guwE0RSkrVEppbDgDhCRHiO8OjLLzHYXz8h+MwUfB',
+  'Z8FH018NAVqHf8FS8FnoCoTprquvrRe617wVV7wVewO3wWfBR8FXCCKCtJmgwR5NJuqqv6Xgp+CugkRel+14LdLwWu14LdPwV0aW',
+  'v9fmEqTOv0IipfQIhd7ot/xCD8lct+IWhqNvL9QAAACOQZsgM8BSn5D+fmO8uCj4KPgm+Cr4KPYH4Uhz96J3Z/ZPd9/go+Cr4LPg',
+  'uor+Cj4KPgo+Cb4KIJ973vpf6Xgp6/OEFyaMS/r5bL/gp5Su+i/+CmvV4YEkJEJZCRCW5/IaGJdeCmhXUvBb+VHc14KSBs0l7jOZ',
+  'H5f19V56Kn+fT7/EIEMn/HUIXOtDOnR/qAAAAIVBm0AzwFrgm+Cz4JvgqJ4KqCj+Cr4KPgooT3go+CL4Jvgoq/go+CT4Jp7nz6Py',
+  '/wUUIfwUV7wUfBN8GEE5b3vc0HL//OFF/Pp9l/wT9a1ygn6+7Xgp0vBTov/gp5f8Dj6Xgn/L4KYUEqqqqqpL8YaqGvnXr7rwRb3S',
+  '9eIQIZP+Ok/ELP9QAAAAZ0GbYDPAVJ+c7y4Kvgm+Cr4LqCneCyvdAUvX1ovdfX19fX19a8W9L1ondF+Cr4OIJy3ve+iH/ov+D/68',
+  'FfXy2vBbpLgtdYJaJFl/wf+l4O6HRvO0dzS4KVr6rlWgE78QgQyVy/iFn+oAAAB3QZuAM8Ba4JPgm+Cb4Kvgq+Cr4LPQFIR19fWh',
+  '3dZu76Xono9G/19fX4KPg8gn3ve+iH/peCfrjdDHNfdl/wW9Hcp+C2jZV4IhrviLT9DO6i1Ko8CqJBF1U6/BR8E7BUVVVVVVVc6H',
+  'dfoz16Lc/xCBHJXf51lrk+oAAAB2QZugM8Ba4KPgo9ATl1fS9fgo+Cb4Kvgi9AVvgwoIV4KPgo+Cj4JqM/go+Cj4KPg2gnLe976I',
+  'f/84SXJpN+vBT1+CQrM99a/Fz2e89nv10uCsFKpLgnava8GOl4L9LwU9fQI6RL+rwRb3RSfxCBLJfiFk/ELP9QAAAGZBm8AzwFrg',
+  'o+Cj4LPgs+C6gs/gs+Cj4KKL3gq+Cj4KvQFL19fX1oj9L1+Cr4LK0T/0vBT1/ry7L/gp9YKWhiRMv+Cvr1LwWr5VTKlwVkBGUMZZ',
+  'BlvcV/WCSpEKn/EIEcnUv4hZ/qAAAACBQZvgM8Ba4KPgo+Cj4KPgq+Cj4LPgo+Cj4MqCFeCr4MvgyrXgo9ATvRKN3S9P1+CiCe7u',
+  '7u7miX/Rf8FOkMyy/4K0CnrL684nv6ZNl/wYrpeCnWIhkr3rtn368Hel4EVeL68FM4pc+tZsbr8/L+2fV2CLe9+vEIEsnVHe/xCz',
+  '99RWAAAAhEGaADPAWuCj4KKCj+Cr4KPgq+Cj4KPgm+Cb4KqK/go+Cb4IK94Jvgm+CahD+CT4KPgsoreCiCfe93dE//5xy4xLUS/r',
+  'wU/BXBJPj9te2ackclteCmc6/k1JLwT7eC3oR1F/8E5j1/SGJaXgnmKGMt+v69UAnfiECWTfELJfiFrkxKyX1AAAAGdBmiAzwFrg',
+  'q+C72B89/f39/f396Cld/f39l9/f39/gs+DyCfe97miH/pPgvRwguMS1Ev6fvT/3+BX6fBP7J8D7U6dakTwIPXg9+Fa9l/8FNepP',
+  'gpq+v1YuvEIFMnJiFkvxC1+IWS+oAAAAWEGaQDPAWuCb4KPgo+Cj4KPgs+Cj4JvQFj06C1dfX19fT9fWvdfX4LK6Jf9LwU9faCHa',
+  '/teCnS8E9etLgn9elwLvwV/BXVOqX67WgE/xCBTJVYhZL8Qs/1AAAABkQZpgM8BXC0FLz4KPgo+Cj4JPgk+Cj4Jvgq+Cj4LPgq+C',
+  'j4JPgo+Cj4Kvgo+Cr4KPgyoxs/peCnr/X9rwTui/+C3XnCC59Pv3gv9LwV6wUz3/tn2vtFyv8QgTyfiFo651oQs/1A==',
+].join('');
+
+// 320x192 PNG test pattern returned as the output of every mock image task.
+const SAMPLE_IMAGE_BASE64 = [
+  'iVBORw0KGgoAAAANSUhEUgAAAUAAAADACAIAAAD6NS2RAAAACXBIWXMAAAABAAAAAQBPJcTWAAAI3ElEQVR4nO3dechmcxjG8UsI',
+  'ISMjSwghIyNLCCEjI0sIISMjSwghIyNLCCEjI0sIIWRkCSFkZGTJvmVkZN+XjIzslzSnOYd6eM+5z+933vc536vf38/9Xvdzf95/',
+  'H6mjOOOTvehZ3by8jcvXVeGuGv/HV5/0dZWu/HajF8B9A5zNMIBz6AVwDwHnMQzgHHoB3E/AGQwDOIdeAPcWcGrDAE5OF8A9B5yU',
+  'MYBz6AUwgBMZBjCAAQzgfgMe0aIB3HvAKQwDOIdeAAM4kWEA59ALYAAnMgzgHHoBDOBEhgGcQy+AAZzIMIAzrR7AAE5hGMCZlg5g',
+  'AKcwDOBM6wYwgFMYBjCAAQzgfgAOLRrAAE5wWgDOoRfAAE50YADOoRfAAE50ZgAGMIABPNSAW7ksAAM4xbEBOIdeAAM40ckBOIde',
+  'AAM40eEBGMAABvAwAm73sgAM4BSGAZxDL4ABnMgwgAEMYAAPF+AUlwVgAKcwDOAcegEM4ESGAQxgAAN4WACnuywAAziFYQADGMAA',
+  'HgrASS8LwABOYRjAAAYwgMc+4NSXBWAApzAM4Bx6AQzgRIYBDGAAA3gsA85zWQAGcArDAAYwgAE8ZgFnuywAAziFYQADGMAAHpuA',
+  'c14WgAGcwjCAAQxgAAMYwAAGcE7AmS8LwABOYRjAAAYwgMca4PyXBWAApzAMYAADGMBjCnAnlwVgACdaNIABDGAAAxjAAAZwesHd',
+  'XBaAAZziqSPDAAYwgAEMYAADuD+Au3MEYACnAtyJYQADGMAABjCAAdwTwMVgAAN46ADnNwxgAAMYwAAGMID7ALgcDGAADyPgzIYB',
+  'DGAAAxjAAAYwgAEMYACPXsD/GAxgAA8p4JyGAQxgAAMYwAAGMIABDGAAj1LA/x4MYAAPL+BshgEM4F4DbovcCM++9aRmO7AJgAEM',
+  '4HhSsx3YBMAABnA8qdkObAJgAAM4ntRsB9YAMIBHA+C2MAz6nJR4o39zw3rFYAADGMDhxFw2qlcMBjCAARxOzGWjesVgAAMYwOHE',
+  'XDaqVwwGMIABHE7MZaN6xWAAAxjA4cRcNqpXDAYwgAEcTsxl/W7lYAADGMDhxGjW71YOBjCAARxOjGb9buVgAAMYwOHEaNbvVg4G',
+  'MIABHE6MZv1u5WAAAxjA4cRo1u9WDgYwgAEcToxm/W7lYAADGMDhxGjW71YOBjCAARxOjGb9buVgAAMYwOHEaNbvVg4GMIABHE6M',
+  'Zv1u5WAAAxjA4cRo1u9WDgYwgAEcToxm/W7lYAADGMDhxGjW71YOBjCARwHgTo4fwAAGMIABDGAAd3H8AAYwgAEMYAD3HnBbGAZ9',
+  'TjK5LfzNTbqVgwEMYACHE6NZv1s5GMAABnA4MZr1u5WDAQxgAIcTo1m/WzkYwAAGcDgxmvW7lYMBDGAAhxOjWb9bORjAAAZwODGa',
+  '9buVgwEMYACHE6NZv1s5GMAABnA4MZr1u5WDAQxgAIcTo1m/WzkYwAAGcDgxmvW7lYMBDGAAhxOjWb9bORjAAAZwODGa9buVgwEM',
+  'YACHE6PZqF4xGMAABnA4MZeN6hWDAQxgAIcTc9moXjEYwAAGcDgxl43qFYMBDGAAhxNz2aheMRjAAAZwODGXjeoVgwEMYACHE3PZ',
+  'qF4xGMAAHgWA28I28stvN6nlDmwCYAADOJ7UbAc2ATCAARxParYDmwAYwACOJzXbgU0ADODRALitl58ugAEMYAA3NQxgAA8x4Dx6',
+  'AQxgAAMYwAAGMIABDGAAj2rA1WIABvCwAs6mF8AABjCAAQxgAAMYwAAG8GgHvKgegAE8lIBz6gUwgAEMYAADGMD9AawOzwrAAE4J',
+  'OLNeAAMYwAAGMIAB3CvAC7sCGMDDBDi/XgADGMAABjCAAdw3wO7IMIABnGjRAAYwgAEMYAADuD+A/569hLy0vJw8Th4vryavKa8j',
+  'ry9PkCfKm8tbydvKO8iT5MnyHvLe8n7ygfIUeap8pHyMfLx8kjxNni6fJZ8rXyBfLM+QZ8pXy9fJN8q3yLfLs+R75Qfkh+XH5Nny',
+  'HPk5+UX5VflNea48T/5Q/lT+Uv5Wni8vkH+V/9Qf1i/WAmu+9Y31hfWJ9YE1z5prvWG9Yr1gPWvNsWZbj1oPWfdb91izrNutm60b',
+  'rGutq6yZ1gzrIut86xzrTGu6Nc060TrOOto6wppqTbEOsPa19rJ2tyZbk6ztrW2sLa3NrInWBGs9a21rDWtVa7w1zlrWWspavPi2',
+  'F258eXlFeeXKxjeQN5I3qWx8R3lnedfKxg+SD5EPq2z8ZPlU+fTKxi+RL5OvqGz8VvkO+a7Kxh+Xn5Sfrmz8Lfkd+b3Kxr+Tf5B/',
+  'Kjf+s/Wj9X1l4+9b71pvVzb+jPWU9URl43dbd1q3VTZ+pXW5dWll42dYp1mnVDZ+uHWodXBl47tZu1g7VTa+qbWxtWFl46tYK1kr',
+  'lBtfTF5SXqay7tXlteR1K+veQt5a3q6y7j3lfeT9K+s+Sj5WPqGy7rPl8+QLK+u+Rr5evqmy7vvkB+VHKut+Xn5Jfq2y7o/kz+Sv',
+  'Kuv+rfg3+Htl419bn1sfVzb+uvUygAEMYAADGMAABjCAAQxgAAMYwAAGMIABDGAAAxjAAAYwgAEMYAADGMAABjCAAQxgAAMYwAAG',
+  'MIABDGAAAxjAAAYwgAEMYAADGMAABjCAAQxgAAMYwAAGMIABDGAAAxjAAAYwgAEMYAADGMAABjCAAQxgAAMYwAAGMIAzAe7wlxlG',
+  '/lr8yYDWPqjmq9m4tddV4a4at/t5Ne6qq19mGBOAWzQMYACnODkAZzIMYACnODYAZzIMYACnODMAAxjAAB52wHHDAAZwigMDcCbD',
+  'AAZwitMCcK5FAxjAbR8VgAEMYAD3CXDjdQMYwK3rBXC+pQMYwK3rBXA+wwAGcOt6AZzPMIAB3LpeAOczDGAAt64XwPkMAxjAresF',
+  'cD7DAAZw63oBnM8wgAGcojCAAQxgAPce8P9+PQDuOeBEhQGciTGAews4aWEAZzIM4H4CTl0YwJkMA7iHgDMUBnAmwwDuG+A8hbvK',
+  'XwgUNhhcsmxFAAAAAElFTkSuQmCC',
+].join('');
+
+const decode = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+export const sampleVideoBytes = () => decode(SAMPLE_VIDEO_BASE64);
+export const sampleImageBytes = () => decode(SAMPLE_IMAGE_BASE64);
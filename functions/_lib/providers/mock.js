@@ -0,0 +1,93 @@
+import { sampleVideoBytes, sampleImageBytes } from './mock-samples.js';
+import { normalizeRunwayTask } from './runway.js';
+import { apiError } from '../errors.js';
+
+// Offline stand-in for the Runway provider, enabled with VIDEO_PROVIDER=mock.
+//
+// Tasks are stateless: the task ID encodes when it was created and how it should
+// end, so the status can be derived from the clock on every lookup. The outcome
+// is picked from the prompt text:
+//   "[fail]"      the task fails once it has finished running
+//   "[moderate]"  the task fails content moderation once it has finished running
+//   "[throttle]"  the task sits in THROTTLED before it starts
+// MOCK_RUNWAY_DURATION_MS sets how long a task takes (default 20s, 0 = instant).
+const MOCK_OUTPUTS = {
+  video: { url: 'mock://runway/sample.mp4', contentType: 'video/mp4', bytes: sampleVideoBytes },
+  image: { url: 'mock://runway/sample.png', contentType: 'image/png', bytes: sampleImageBytes },
+};
+
+const DEFAULT_DURATION_MS = 20000;
+
+const taskDuration = (env) => {
+  const value = parseInt(env.MOCK_RUNWAY_DURATION_MS ?? '', 10);
+  return Number.isNaN(value) ? DEFAULT_DURATION_MS : Math.max(value, 0);
+};
+
+const scenarioFor = (prompt = '') => {
+  if (prompt.includes('[fail]')) return 'fail';
+  if (prompt.includes('[moderate]')) return 'moderate';
+  if (prompt.includes('[throttle]')) return 'throttle';
+  return 'succeed';
+};
+
+// Returns the task as the Runway API would report it at this moment.
+function simulateTask(env, taskId) {
+  const [prefix, createdAt, scenario, kind] = taskId.split('-');
+  if (prefix !== 'mock' || !createdAt || !scenario) {
+    throw apiError('not_found', `Mock provider has no task with ID ${taskId}.`);
+  }
+
+  const duration = taskDuration(env);
+  let elapsed = Date.now() - parseInt(createdAt, 10);
+  const task = { id: taskId, createdAt: new Date(parseInt(createdAt, 10)).toISOString() };
+
+  if (scenario === 'throttle') {
+    if (elapsed < duration * 0.3) return { ...task, status: 'THROTTLED' };
+    elapsed -= duration * 0.3;
+  }
+  if (elapsed < duration * 0.15) return { ...task, status: 'PENDING' };
+  if (elapsed < duration) return { ...task, status: 'RUNNING', progress: Math.round((elapsed / duration) * 100) / 100 };
+
+  if (scenario === 'fail') {
+    return { ...task, status: 'FAILED', failure: 'Mock provider: simulated generation failure.', failureCode: 'INTERNAL' };
+  }
+  if (scenario === 'moderate') {
+    return { ...task, status: 'FAILED', failure: 'Mock provider: simulated moderation failure.', failureCode: 'SAFETY.INPUT.TEXT' };
+  }
+  return { ...task, status: 'SUCCEEDED', progress: 1, output: [(MOCK_OUTPUTS[kind] || MOCK_OUTPUTS.video).url] };
+}
+
+export function createMockProvider(env) {
+  return {
+    name: 'mock',
+
+    async createTask({ prompt, imageUrl }) {
+      if (!imageUrl || !prompt) {
+        throw apiError('upstream_rejected', 'Mock provider: an image URL and a prompt are required.');
+      }
+      const id = `mock-${Date.now()}-${scenarioFor(prompt)}-video-${crypto.randomUUID()}`;
+      return normalizeRunwayTask({ id, status: 'PENDING' });
+    },
+
+    async createImageTask({ prompt }) {
+      if (!prompt) throw apiError('upstream_rejected', 'Mock provider: a prompt is required.');
+      const id = `mock-${Date.now()}-${scenarioFor(prompt)}-image-${crypto.randomUUID()}`;
+      return normalizeRunwayTask({ id, status: 'PENDING' });
+    },
+
+    async getTask(taskId) {
+      return normalizeRunwayTask(simulateTask(env, taskId));
+    },
+
+    // Nothing to stop; the job record is what marks the task cancelled.
+    async cancelTask(taskId) {
+      simulateTask(env, taskId);
+    },
+
+    async fetchOutput(url) {
+      const output = Object.values(MOCK_OUTPUTS).find(candidate => candidate.url === url);
+      if (!output) return fetch(url);
+      return new Response(output.bytes(), { headers: { 'Content-Type': output.contentType } });
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import { apiError } from '../errors.js';
+import { createUpstreamClient } from '../upstream.js';
+import { retryAfterMs } from '../../../shared/retryAfter.js';
+
+// Runway image-to-video and text-to-image provider. RUNWAY_API_BASE points it
+// at another API host.
+const RUNWAY_VERSION = '2024-11-06';
+const DEFAULT_API_BASE = 'https://api.runwayml.com/v1';
+const MODERATION_PATTERN = /moderat|safety|content policy/i;
+const MAX_UPSTREAM_BODY_LENGTH = 1000;
+
+// Runway already reports the statuses the rest of the app uses; only the shape
+// of the task needs adjusting.
+export const normalizeRunwayTask = (data) => ({
+  id: data.id,
+  status: data.status,
+  progress: data.progress ?? null,
+  outputUrl: data.output?.[0] || null,
+  failure: data.failure || null,
+  failureCode: data.failureCode || null,
+});
+
+// Turns a failed Runway response into an error that keeps Runway's own reason
+// and status, classified by what the client can do about it.
+async function upstreamError(response, path) {
+  const text = (await response.text().catch(() => '')).slice(0, MAX_UPSTREAM_BODY_LENGTH);
+  let reason = text;
+  try {
+    const body = JSON.parse(text);
+    reason = [body.error || body.message, ...(body.issues || []).map(issue => issue.message)].filter(Boolean).join(' ') || text;
+  } catch { /* Not JSON; keep the raw text */ }
+
+  const details = { upstreamStatus: response.status, upstreamError: reason || null };
+  if (response.status === 404 && path.startsWith('/tasks/')) return apiError('not_found', 'Runway has no task with this ID.', details);
+  if (response.status === 429 || response.status >= 500) {
+    // Pass on how long Runway asked to be left alone, when it said
+    const retryAfter = response.headers.has('Retry-After') ? Math.ceil(retryAfterMs(response) / 1000) || undefined : undefined;
+    return apiError('upstream_unavailable', `Runway is unavailable (HTTP ${response.status})${reason ? `: ${reason}` : '.'}`, { ...details, retryAfter });
+  }
+  // A rejected API key is a server misconfiguration, not something the client sent
+  if ([401, 403].includes(response.status)) {
+    return apiError('upstream_rejected', `Runway rejected the server's API key (HTTP ${response.status}).`, { ...details, status: 502 });
+  }
+  const code = MODERATION_PATTERN.test(reason) ? 'moderation' : 'upstream_rejected';
+  return apiError(code, `Runway rejected the request (HTTP ${response.status})${reason ? `: ${reason}` : '.'}`, details);
+}
+
+export function createRunwayProvider(env) {
+  const apiBase = (env.RUNWAY_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+  const headers = { 'Authorization': `Bearer ${env.RUNWAYML_API_KEY}`, 'X-Runway-Version': RUNWAY_VERSION };
+  const api = createUpstreamClient(env, 'runway', 'Runway');
+  // Outputs are served from Runway's storage, which fails separately from the API
+  const outputs = createUpstreamClient(env, 'runway-output', "Runway's output storage");
+
+  // Returns the response body, or throws the classified error for a failed call
+  const request = async (path, init = {}) => {
+    const response = await api.fetch(`${apiBase}${path}`, { ...init, headers: { ...headers, ...init.headers } });
+    if (!response.ok) throw await upstreamError(response, path);
+    return response.status === 204 ? null : response.json();
+  };
+
+  return {
+    name: 'runway',
+
+    async createTask({ model, prompt, imageUrl, endImageUrl, seed, duration, ratio }) {
+      // With an end frame, Runway takes the keyframes as a positioned list
+      const promptImage = endImageUrl
+        ? [{ uri: imageUrl, position: 'first' }, { uri: endImageUrl, position: 'last' }]
+        : imageUrl;
+      const body = { model, promptText: prompt, promptImage, seed, watermark: false, duration, ratio };
+      const data = await request('/image_to_video', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      return normalizeRunwayTask(data);
+    },
+
+    async createImageTask({ model, prompt, ratio, seed }) {
+      const body = { model, promptText: prompt, ratio, seed };
+      const data = await request('/text_to_image', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      return normalizeRunwayTask(data);
+    },
+
+    async getTask(taskId) {
+      return normalizeRunwayTask(await request(`/tasks/${taskId}`));
+    },
+
+    // Runway cancels a running task, or deletes a finished one, on DELETE.
+    async cancelTask(taskId) {
+      await request(`/tasks/${taskId}`, { method: 'DELETE' });
+    },
+
+    fetchOutput(url) {
+      return outputs.fetch(url);
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { errorResponse } from './errors.js';
+
+// Per-IP rate limits, separate for starting jobs, checking on them and asking
+// for sign-in links. Each route keeps a count per client per minute in TASK_INFO_KV under
+// `ratelimit:<route>:<client>:<minute>`, and a request is weighed against the
+// current minute plus the part of the previous minute still inside the
+// sliding window. Limits are requests per minute (a batch is one start) and can
+// be changed with RATE_LIMIT_START_PER_MINUTE / RATE_LIMIT_STATUS_PER_MINUTE /
+// RATE_LIMIT_LOGIN_PER_MINUTE.
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+const WINDOW_MS = 60 * 1000;
+// KV's minimum TTL; the previous window is still read for one more minute
+const COUNTER_TTL_SECONDS = 120;
+const DEFAULT_LIMITS = { start: 10, status: 60, login: 5 };
+const LIMIT_VARS = { start: 'RATE_LIMIT_START_PER_MINUTE', status: 'RATE_LIMIT_STATUS_PER_MINUTE', login: 'RATE_LIMIT_LOGIN_PER_MINUTE' };
+
+// IPv6 clients usually hold a whole /64, so they are counted by that prefix.
+function clientKey(ip) {
+  if (!ip.includes(':')) return ip;
+  // IPv4-mapped IPv6, e.g. ::ffff:203.0.113.7
+  if (ip.includes('.')) return ip.slice(ip.lastIndexOf(':') + 1);
+  const [head, tail] = ip.toLowerCase().split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+}
+
+const limitFor = (env, route) => Number(env[LIMIT_VARS[route]]) || DEFAULT_LIMITS[route];
+
+// Counts the request against the client's limit for `route` ('start', 'status' or 'login').
+// Returns null when allowed, or a 429 with Retry-After. KV reads can lag writes
+// by a few seconds, so the limit is approximate, and a KV failure lets the
+// request through rather than taking the API down with it.
+export async function checkRateLimit(request, env, route) {
+  const client = clientKey(request.headers.get('CF-Connecting-IP') || 'unknown');
+  const now = Date.now();
+  const window = Math.floor(now / WINDOW_MS);
+  const elapsed = (now % WINDOW_MS) / WINDOW_MS;
+  const keyFor = (index) => `${RATE_LIMIT_PREFIX}${route}:${client}:${index}`;
+  const limit = limitFor(env, route);
+
+  try {
+    const kv = env.TASK_INFO_KV;
+    const [previous, current] = (await Promise.all([kv.get(keyFor(window - 1)), kv.get(keyFor(window))])).map(count => Number(count) || 0);
+
+    if (previous * (1 - elapsed) + current + 1 > limit) {
+      // Wait for the previous minute to slide out far enough, or for this one to end
+      const waitFraction = current + 1 > limit || !previous ? 1 - elapsed : 1 - (limit - current - 1) / previous - elapsed;
+      const retryAfter = Math.max(1, Math.ceil(waitFraction * WINDOW_MS / 1000));
+      return errorResponse('quota', `Too many requests from your network. Try again in ${retryAfter} seconds.`, { retryAfter });
+    }
+
+    await kv.put(keyFor(window), String(current + 1), { expirationTtl: COUNTER_TTL_SECONDS });
+  } catch (error) {
+    console.error(`Rate limit check failed for ${route}:`, error);
+  }
+  return null;
+}
@@ -0,0 +1,73 @@
+import { getProvider } from './providers/index.js';
+import { PENDING_STATUSES, listTaskRecords, finalizeTask, markTaskFailed, updateTaskRecord } from './tasks.js';
+
+// Provider output URLs stop working after a day or so; anything still pending past
+// this point cannot be recovered.
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+// Keeps one sweep well inside the Worker subrequest limit.
+const DEFAULT_BATCH_SIZE = 20;
+const LAST_RUN_KEY = 'reconcile:lastRun';
+const MIN_INTERVAL_MS = 60 * 1000;
+
+async function reconcileTask(env, record, now) {
+  const taskId = record.id;
+  if (now - Date.parse(record.createdAt) > STALE_AFTER_MS) {
+    await updateTaskRecord(env, taskId, record, { status: 'EXPIRED', failure: 'Task was not finalized in time.' });
+    return 'expired';
+  }
+
+  const task = await getProvider(env, record.provider).getTask(taskId);
+  if (task.status === 'SUCCEEDED' && task.outputUrl) {
+    return (await finalizeTask(env, taskId, record, task)) ? 'finalized' : 'pending';
+  }
+  if (task.status === 'FAILED') {
+    await markTaskFailed(env, taskId, record, task);
+    return 'failed';
+  }
+  if (task.status === 'CANCELLED') {
+    await updateTaskRecord(env, taskId, record, { status: 'CANCELLED' });
+    return 'failed';
+  }
+  if (task.status !== record.status) {
+    await updateTaskRecord(env, taskId, record, { status: task.status });
+  }
+  return 'pending';
+}
+
+// Walks the pending status indexes, copying finished outputs to R2, recording
+// failures and expiring records that have been pending too long. Finished jobs
+// are never listed, so a sweep costs the same however many jobs are kept.
+export async function reconcilePendingTasks(env, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const summary = { finalized: 0, failed: 0, expired: 0, pending: 0, errors: 0 };
+  const now = Date.now();
+  let processed = 0;
+
+  for (const status of PENDING_STATUSES) {
+    let cursor;
+    do {
+      const page = await listTaskRecords(env, { status, limit: batchSize - processed, cursor });
+      for (const record of page.jobs) {
+        processed++;
+        try {
+          summary[await reconcileTask(env, record, now)]++;
+        } catch (error) {
+          console.error(`Reconcile failed for task ${record.id}:`, error);
+          summary.errors++;
+        }
+      }
+      if (processed >= batchSize) return summary;
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  return summary;
+}
+
+// Runs a sweep at most once per MIN_INTERVAL_MS. Called in the background from
+// the /ai route so pending tasks still get finalized without a cron trigger.
+export async function maybeReconcile(env) {
+  const lastRun = parseInt(await env.TASK_INFO_KV.get(LAST_RUN_KEY) || '0', 10);
+  if (Date.now() - lastRun < MIN_INTERVAL_MS) return null;
+  await env.TASK_INFO_KV.put(LAST_RUN_KEY, String(Date.now()));
+  return reconcilePendingTasks(env);
+}
@@ -0,0 +1,44 @@
+import { getProvider } from './providers/index.js';
+import { getTaskRecord, updateTaskRecord, finalizeTask, markTaskFailed, isPending, isFinalized, outputFields } from './tasks.js';
+import { apiError, failureErrorCode } from './errors.js';
+
+// Why a job ended without output; failed jobs also get an error code.
+const failureFields = ({ status, failure, failureCode }) => (status === 'FAILED'
+  ? { failure: failure || null, failureCode: failureCode || null, code: failureErrorCode(failureCode) }
+  : { failure: failure || null });
+
+// Checks a task against its provider, finalizing it into R2 once it has succeeded.
+// Shared by the JSON status action and the SSE stream. Record updates that the
+// caller does not need to wait for are handed to `waitUntil`.
+export async function checkTaskStatus(env, taskId, waitUntil) {
+  // Only jobs started here are checked, so the provider is never asked about
+  // task IDs this app has no record of (deleted jobs included)
+  const record = await getTaskRecord(env, taskId);
+  if (!record) throw apiError('not_found', `No job found with ID ${taskId}.`);
+  // The reconciler may already have copied the output to R2 or closed the job
+  if (isFinalized(record)) {
+    return { status: record.status, progress: 1, ...outputFields(record) };
+  }
+  if (!isPending(record.status)) {
+    return { status: record.status, progress: null, ...failureFields(record), videoUrl: null };
+  }
+
+  const task = await getProvider(env, record.provider).getTask(taskId);
+
+  if (task.status === 'SUCCEEDED' && task.outputUrl) {
+    const finalRecord = await finalizeTask(env, taskId, record, task);
+    // Another request is copying the output; report progress until it lands
+    if (!finalRecord) return { status: 'FINALIZING', progress: task.progress, videoUrl: null };
+    return { status: task.status, progress: task.progress, ...outputFields(finalRecord) };
+  }
+
+  if (record.status !== task.status) {
+    if (task.status === 'FAILED') {
+      waitUntil(markTaskFailed(env, taskId, record, task));
+    } else {
+      waitUntil(updateTaskRecord(env, taskId, record, { status: task.status }));
+    }
+  }
+
+  return { status: task.status, progress: task.progress, ...failureFields(task), videoUrl: null };
+}
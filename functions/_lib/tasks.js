@@ -0,0 +1,203 @@
+import { getProvider } from './providers/index.js';
+import { apiError } from './errors.js';
+
+// Job records live in TASK_INFO_KV under `task:<runwayTaskId>`, with the status
+// and creation time mirrored into the KV metadata.
+//
+// Listing is served from index keys that sort newest first:
+//   jobs:all:<invertedTime>:<taskId>            every job
+//   jobs:<STATUS>:<invertedTime>:<taskId>       one entry per job in its current status
+//   jobs:source:<hash>:<invertedTime>:<taskId>  every video made from one source image
+export const TASK_PREFIX = 'task:';
+export const PENDING_STATUSES = ['PENDING', 'THROTTLED', 'RUNNING'];
+export const JOB_STATUSES = [...PENDING_STATUSES, 'SUCCEEDED', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+const INDEX_PREFIX = 'jobs:';
+const CLAIM_PREFIX = 'finalize:';
+// KV's minimum TTL; long enough to download and store a 10s clip.
+const CLAIM_TTL_SECONDS = 60;
+const MAX_TIME = 9999999999999;
+
+export const isPending = (status) => PENDING_STATUSES.includes(status);
+
+// Jobs are image-to-video by default; text-to-image jobs have kind 'image' and
+// store their output under imageKey instead of videoKey.
+const outputKeyOf = (record) => (record.kind === 'image' ? record.imageKey : record.videoKey);
+
+export const isFinalized = (record) => record?.status === 'SUCCEEDED' && Boolean(record.videoUrl || record.imageUrl);
+
+// The fields a client needs to use a finished job's output.
+export const outputFields = (record) => (record.kind === 'image'
+  ? { imageUrl: record.imageUrl, imageKey: record.imageKey }
+  : { videoUrl: record.videoUrl });
+
+const indexSuffix = (record) => `${String(MAX_TIME - Date.parse(record.createdAt)).padStart(13, '0')}:${record.id}`;
+const indexKey = (bucket, record) => `${INDEX_PREFIX}${bucket}:${indexSuffix(record)}`;
+
+export async function getTaskRecord(env, taskId) {
+  return env.TASK_INFO_KV.get(`${TASK_PREFIX}${taskId}`, { type: 'json' });
+}
+
+async function putTaskRecord(env, record, previousStatus) {
+  const kv = env.TASK_INFO_KV;
+  await kv.put(`${TASK_PREFIX}${record.id}`, JSON.stringify(record), { metadata: { status: record.status, createdAt: record.createdAt } });
+  if (previousStatus === record.status) return record;
+
+  await Promise.all([
+    kv.put(indexKey(record.status, record), ''),
+    previousStatus ? kv.delete(indexKey(previousStatus, record)) : kv.put(indexKey('all', record), ''),
+    !previousStatus && record.sourceImageHash && kv.put(indexKey(`source:${record.sourceImageHash}`, record), ''),
+  ]);
+  return record;
+}
+
+// Writes the job record at submit time, before anything has been polled.
+export async function createTaskRecord(env, taskId, { kind, mode, provider, status, videoKey, imageKey, sourceImageKey, sourceImageHash, endImageKey, parentTaskId, rerunOf, batchId, user, project, prompt, model, seed, options }) {
+  const now = new Date().toISOString();
+  const initialStatus = status || 'PENDING';
+  return putTaskRecord(env, {
+    id: taskId,
+    kind: kind || 'video',
+    mode,
+    provider,
+    model,
+    prompt,
+    seed,
+    options,
+    sourceImageKey,
+    sourceImageHash,
+    endImageKey,
+    parentTaskId,
+    rerunOf,
+    batchId,
+    user,
+    project,
+    videoKey,
+    imageKey,
+    r2PublicUrl: env.R2_PUBLIC_URL,
+    status: initialStatus,
+    statusHistory: [{ status: initialStatus, at: now }],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Applies changes to a record, appending to statusHistory when the status moves.
+export async function updateTaskRecord(env, taskId, record, changes) {
+  // A slow poll must not move a record that has since finished back to pending
+  if (isPending(changes.status)) {
+    const current = await getTaskRecord(env, taskId);
+    if (current && !isPending(current.status)) return current;
+  }
+  const now = new Date().toISOString();
+  const next = { ...record, ...changes, updatedAt: now };
+  if (changes.status && changes.status !== record.status) {
+    next.statusHistory = [...(record.statusHistory || []), { status: changes.status, at: now }];
+    if (!isPending(changes.status)) next.finishedAt = now;
+  }
+  return putTaskRecord(env, next, record.status);
+}
+
+// KV has no compare-and-swap, so a claim is a short-lived key that is written and
+// read back; whoever reads their own token owns the copy to R2.
+async function claimFinalization(env, taskId) {
+  const key = `${CLAIM_PREFIX}${taskId}`;
+  if (await env.TASK_INFO_KV.get(key)) return null;
+  const token = crypto.randomUUID();
+  await env.TASK_INFO_KV.put(key, token, { expirationTtl: CLAIM_TTL_SECONDS });
+  return (await env.TASK_INFO_KV.get(key)) === token ? key : null;
+}
+
+// Copies a finished provider output into IMAGE_BUCKET at the record's videoKey
+// (or imageKey) and marks the record SUCCEEDED. Used by both the status route
+// and the reconciler. Safe to call repeatedly: an already finalized record is
+// returned as is, and null is returned while another request holds the claim
+// on the copy.
+export async function finalizeTask(env, taskId, record, task) {
+  const outputKey = record && outputKeyOf(record);
+  if (!outputKey) {
+    throw new Error(`Could not find R2 destination key for task ${taskId}.`);
+  }
+  if (isFinalized(record)) return record;
+
+  const claimKey = await claimFinalization(env, taskId);
+  if (!claimKey) return null;
+
+  try {
+    // Another request may have finished between our read and our claim
+    const current = await getTaskRecord(env, taskId);
+    if (isFinalized(current)) return current;
+
+    // The object can already exist if a previous attempt died before updating KV
+    if (!(await env.IMAGE_BUCKET.head(outputKey))) {
+      const outputResponse = await getProvider(env, record.provider).fetchOutput(task.outputUrl);
+      if (!outputResponse.ok) {
+        throw apiError('upstream_unavailable', `Failed to download generated output from the provider. Status: ${outputResponse.status}`, { upstreamStatus: outputResponse.status });
+      }
+
+      const contentType = record.kind === 'image' ? outputResponse.headers.get('content-type') || 'image/png' : 'video/mp4';
+      await env.IMAGE_BUCKET.put(outputKey, outputResponse.body, {
+        httpMetadata: { contentType }
+      }).catch((error) => {
+        throw apiError('storage_failed', `Could not store the generated output in R2: ${error.message}`);
+      });
+    }
+
+    const outputUrl = `${record.r2PublicUrl}/${outputKey}`;
+    const changes = record.kind === 'image' ? { imageUrl: outputUrl } : { videoUrl: outputUrl };
+    return await updateTaskRecord(env, taskId, current || record, { status: 'SUCCEEDED', ...changes });
+  } catch (error) {
+    // Let the next poll or reconcile retry straight away
+    await env.TASK_INFO_KV.delete(claimKey);
+    throw error;
+  }
+}
+
+// Records a provider task failure with the provider's reason and failureCode.
+export async function markTaskFailed(env, taskId, record, { failure, failureCode }) {
+  return updateTaskRecord(env, taskId, record, { status: 'FAILED', failure: failure || 'Video generation failed', failureCode: failureCode || null });
+}
+
+// Removes a job record, its index entries and its output video. Source images
+// are left alone since other jobs can share them, and that includes the output
+// of a text-to-image job, which lives under uploads/ as a source image.
+export async function deleteTaskRecord(env, record) {
+  const kv = env.TASK_INFO_KV;
+  const outputKey = record.kind === 'image' ? null : outputKeyOf(record);
+  await Promise.all([
+    kv.delete(`${TASK_PREFIX}${record.id}`),
+    kv.delete(indexKey('all', record)),
+    kv.delete(indexKey(record.status, record)),
+    record.sourceImageHash && kv.delete(indexKey(`source:${record.sourceImageHash}`, record)),
+    outputKey && env.IMAGE_BUCKET.delete(outputKey),
+  ]);
+}
+
+// Lists job records newest first. `cursor` is the opaque KV list cursor from the
+// previous page; `status` restricts the listing to jobs currently in that status
+// and `sourceImageHash` to videos made from that source image.
+export async function listTaskRecords(env, { status, sourceImageHash, limit = 20, cursor } = {}) {
+  const bucket = sourceImageHash ? `source:${sourceImageHash}` : status || 'all';
+  const page = await env.TASK_INFO_KV.list({ prefix: `${INDEX_PREFIX}${bucket}:`, limit, cursor });
+  const records = await Promise.all(page.keys.map(key => getTaskRecord(env, key.name.split(':').pop())));
+  return {
+    // Index entries can briefly lag behind the record, so re-check the status
+    jobs: records.filter(record => record && (!status || record.status === status)),
+    cursor: page.list_complete ? null : page.cursor,
+  };
+}
+
+// Continuation jobs point at the job they extend through parentTaskId. Returns
+// the chain from the first clip to `taskId`, or null if the job is unknown.
+const MAX_CHAIN_LENGTH = 50;
+
+export async function getTaskChain(env, taskId) {
+  const chain = [];
+  let record = await getTaskRecord(env, taskId);
+  if (!record) return null;
+  while (record && chain.length < MAX_CHAIN_LENGTH) {
+    chain.unshift(record);
+    record = record.parentTaskId ? await getTaskRecord(env, record.parentTaskId) : null;
+  }
+  return chain;
+}
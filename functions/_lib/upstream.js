@@ -0,0 +1,106 @@
+import { apiError } from './errors.js';
+import { retryAfterMs } from '../../shared/retryAfter.js';
+
+// Calls to outside APIs go through an upstream client, which retries failures
+// worth retrying and keeps a circuit breaker per upstream in TASK_INFO_KV under
+// `circuit:<name>`. Once FAILURE_THRESHOLD calls in a row have ended in network
+// errors, 429s or 5xxs, the circuit opens: calls fail straight away with
+// upstream_unavailable for OPEN_MS instead of adding to the upstream's load.
+// After that the next calls are let through again, and the first outcome
+// closes the circuit or opens it for another OPEN_MS. KV reads can lag writes,
+// so the breaker is approximate, and a KV failure leaves it closed.
+const CIRCUIT_PREFIX = 'circuit:';
+const FAILURE_THRESHOLD = 5;
+const OPEN_MS = 30 * 1000;
+// Failure counts are forgotten after a quiet spell
+const CIRCUIT_TTL_SECONDS = 5 * 60;
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 4000;
+// Every attempt and wait of one call fits in this, leaving the rest of the
+// request's time for KV and R2. A Retry-After longer than what is left ends
+// the retries.
+const TIME_BUDGET_MS = 10 * 1000;
+// A POST that failed any other way may still have been carried out, and a
+// retry could start a second paid job.
+const NOT_PROCESSED_STATUSES = [429, 503];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter, so callers that failed together do not retry together
+const backoffMs = (attempt) => Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+
+async function readCircuit(env, key) {
+  try {
+    return await env.TASK_INFO_KV.get(key, { type: 'json' });
+  } catch (error) {
+    console.error(`Could not read circuit ${key}:`, error);
+    return null;
+  }
+}
+
+async function writeCircuit(env, key, circuit) {
+  try {
+    if (circuit) {
+      await env.TASK_INFO_KV.put(key, JSON.stringify(circuit), { expirationTtl: CIRCUIT_TTL_SECONDS });
+    } else {
+      await env.TASK_INFO_KV.delete(key);
+    }
+  } catch (error) {
+    console.error(`Could not update circuit ${key}:`, error);
+  }
+}
+
+// `name` keys the circuit and `label` names the upstream in error messages.
+// `fetch` resolves with the final response, including failed ones for the
+// caller to interpret, and throws upstream_unavailable when the circuit is
+// open or the upstream could not be reached.
+export function createUpstreamClient(env, name, label) {
+  const key = `${CIRCUIT_PREFIX}${name}`;
+
+  const recordFailure = async (circuit) => {
+    const failures = (circuit?.failures || 0) + 1;
+    const opens = failures >= FAILURE_THRESHOLD;
+    if (opens) console.error(`Circuit ${key} open after ${failures} failed calls.`);
+    await writeCircuit(env, key, { failures, openUntil: opens ? Date.now() + OPEN_MS : null });
+  };
+
+  return {
+    async fetch(url, init = {}) {
+      const circuit = await readCircuit(env, key);
+      if (circuit?.openUntil > Date.now()) {
+        const retryAfter = Math.ceil((circuit.openUntil - Date.now()) / 1000);
+        throw apiError('upstream_unavailable', `${label} is unavailable after repeated failures; calls to it are paused for ${retryAfter} seconds.`, { retryAfter });
+      }
+
+      const deadline = Date.now() + TIME_BUDGET_MS;
+      const isPost = (init.method || 'GET').toUpperCase() === 'POST';
+      for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let networkError = null;
+        try {
+          response = await fetch(url, init);
+        } catch (error) {
+          networkError = error;
+        }
+
+        if (response && response.status !== 429 && response.status < 500) {
+          if (circuit) await writeCircuit(env, key, null);
+          return response;
+        }
+
+        const retryable = !isPost || NOT_PROCESSED_STATUSES.includes(response?.status);
+        const waitMs = response?.headers.has('Retry-After') ? retryAfterMs(response) : backoffMs(attempt);
+        if (!retryable || attempt >= MAX_ATTEMPTS || Date.now() + waitMs > deadline) {
+          await recordFailure(circuit);
+          if (networkError) throw apiError('upstream_unavailable', `Could not reach ${label}: ${networkError.message}`);
+          return response;
+        }
+        // The body is not needed and would otherwise hold the connection open
+        await response?.body?.cancel();
+        await sleep(waitMs);
+      }
+    },
+  };
+}
@@ -0,0 +1,19 @@
+import { revokeApiKey } from '../../_lib/api-keys.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { jsonResponse, checkBindings } from '../../_lib/http.js';
+import { errorResponse } from '../../_lib/errors.js';
+
+// DELETE /admin/keys/:id — revokes the key; requests using it fail from now on
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireAdmin(request, env);
+  if (authError) return authError;
+
+  if (!(await revokeApiKey(env, params.id))) {
+    return errorResponse('not_found', `No API key found with ID ${params.id}.`);
+  }
+  return jsonResponse({ success: true });
+}
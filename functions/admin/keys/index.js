@@ -0,0 +1,42 @@
+import { API_KEY_SCOPES, createApiKey, listApiKeys } from '../../_lib/api-keys.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { jsonResponse, checkBindings } from '../../_lib/http.js';
+import { errorResponse } from '../../_lib/errors.js';
+
+const MAX_LABEL_LENGTH = 100;
+
+// GET /admin/keys — every API key with its label, scopes and last use
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireAdmin(request, env);
+  if (authError) return authError;
+
+  return jsonResponse({ success: true, keys: await listApiKeys(env) });
+}
+
+// POST /admin/keys — JSON { label, scopes }. The response carries the key
+// itself, which is not stored and cannot be shown again.
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response: authError } = await requireAdmin(request, env);
+  if (authError) return authError;
+
+  const { label, scopes } = await request.json().catch(() => ({}));
+  const errors = [];
+  if (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH) {
+    errors.push(`Label must be 1-${MAX_LABEL_LENGTH} characters.`);
+  }
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    errors.push(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}.`);
+  }
+  if (errors.length) return errorResponse('validation', errors.join(' '), { errors });
+
+  const { key, apiKey } = await createApiKey(env, { label: label.trim(), scopes: [...new Set(scopes)], createdBy: user.email });
+  return jsonResponse({ success: true, key, apiKey }, 201);
+}
@@ -1,119 +1,199 @@
+import { getProvider } from './_lib/providers/index.js';
+import { getTaskRecord, updateTaskRecord, isPending } from './_lib/tasks.js';
+import { storeUpload, sourceImageExists, startVideoJob, startImageJob } from './_lib/generate.js';
+import { checkTaskStatus } from './_lib/status.js';
+import { maybeReconcile } from './_lib/reconcile.js';
+import { DEFAULT_MODEL, DEFAULT_IMAGE_MODEL, getModel, validateGenerationOptions, validateImageOptions, videoCredits, imageCredits } from '../shared/models.js';
+import { readImageUpload } from './_lib/images.js';
+import { withIdempotencyKey } from './_lib/idempotency.js';
+import { withCredits } from './_lib/budgets.js';
+import { checkRateLimit } from './_lib/rate-limit.js';
+import { requireUser, requireScope, requireJobOwner } from './_lib/auth.js';
+import { jsonResponse, corsPreflight, checkBindings } from './_lib/http.js';
+import { apiError, errorResponse, errorResponseFor, readJsonBody, readFormData, checkTextFields } from './_lib/errors.js';
+
+// Starts a text-to-image job whose result can then be animated.
+async function startImageGeneration(env, user, { prompt, ratio, project, model = DEFAULT_IMAGE_MODEL }) {
+  const validationErrors = validateImageOptions({ model, ratio, prompt });
+  if (validationErrors.length) {
+    return errorResponse('validation', validationErrors.join(' '), { errors: validationErrors });
+  }
+
+  return withCredits(env, user, imageCredits({ model, ratio }), async () => {
+    const job = await startImageJob(env, { prompt, model, ratio, user: user.email, project });
+    return jsonResponse({ success: true, taskId: job.id, status: job.status, seed: job.seed });
+  });
+}
+
+// Starts a new video job with the same source, options and seed as an earlier
+// one, optionally with a tweaked prompt.
+async function rerunJob(env, user, { taskId, prompt }) {
+  const record = await getTaskRecord(env, taskId);
+  if (!record || record.kind === 'image') {
+    return errorResponse('not_found', `No video job found with ID ${taskId}.`);
+  }
+
+  if (prompt != null && typeof prompt !== 'string') throw apiError('validation', 'prompt must be a string.');
+  const nextPrompt = prompt?.trim() ? prompt : record.prompt;
+  const { duration, ratio } = record.options;
+  const mode = record.mode || 'single';
+  const validationErrors = validateGenerationOptions({ model: record.model, duration, ratio, prompt: nextPrompt, mode, hasEndFrame: mode === 'keyframes' });
+  if (validationErrors.length) {
+    return errorResponse('validation', validationErrors.join(' '), { errors: validationErrors });
+  }
+
+  return withCredits(env, user, videoCredits({ model: record.model, duration }), async () => {
+    const job = await startVideoJob(env, {
+      mode,
+      imageKey: record.sourceImageKey,
+      endImageKey: mode === 'keyframes' ? record.endImageKey : undefined,
+      parentTaskId: record.parentTaskId,
+      rerunOf: record.id,
+      user: user.email,
+      project: record.project,
+      prompt: nextPrompt,
+      model: record.model,
+      duration,
+      ratio,
+      seed: record.seed,
+    });
+    return jsonResponse({ success: true, taskId: job.id, status: job.status, seed: job.seed });
+  });
+}
+
+// Stores the uploaded images and starts an image-to-video job from a multipart
+// submission.
+async function startVideoGeneration(env, user, formData) {
+  checkTextFields(formData, ['prompt', 'imageKey', 'endImageKey', 'parentTaskId', 'model', 'duration', 'ratio', 'seed', 'mode', 'project']);
+  const prompt = formData.get('prompt');
+  const imageFile = formData.get('image');
+  // A previously generated image can be animated instead of a new upload
+  const existingImageKey = formData.get('imageKey');
+  // Optional last keyframe, uploaded or by key
+  const endImageFile = formData.get('endImage');
+  const existingEndImageKey = formData.get('endImageKey');
+  // Set when this clip continues an earlier one from its last frame
+  const parentTaskId = formData.get('parentTaskId');
+  // Extract options from formData, falling back to the model's defaults
+  const model = formData.get('model') || DEFAULT_MODEL;
+  const duration = parseInt(formData.get('duration') || getModel(model)?.durations[0], 10);
+  const ratio = formData.get('ratio') || getModel(model)?.ratios[0];
+  // Optional fixed seed for reproducible results
+  const seed = formData.get('seed') ? Number(formData.get('seed')) : undefined;
+  // Optional label for grouping objects in R2 through the key templates
+  const project = formData.get('project') || undefined;
+
+  if (!prompt || (!imageFile && !existingImageKey)) throw apiError('validation', 'Request is missing prompt or image file.');
+
+  const hasEndFrame = Boolean(endImageFile || existingEndImageKey);
+  const mode = formData.get('mode') || (hasEndFrame ? 'keyframes' : 'single');
+  const validationErrors = validateGenerationOptions({ model, duration, ratio, prompt, seed, mode, hasEndFrame });
+  if (validationErrors.length) {
+    return errorResponse('validation', validationErrors.join(' '), { errors: validationErrors });
+  }
+
+  for (const [file, key] of [[imageFile, existingImageKey], [endImageFile, existingEndImageKey]]) {
+    if (!file && key && !(await sourceImageExists(env, key))) {
+      return errorResponse('validation', `Source image ${key} was not found.`);
+    }
+  }
+
+  if (parentTaskId) {
+    const parent = await getTaskRecord(env, parentTaskId);
+    if (!parent || parent.kind === 'image') {
+      return errorResponse('validation', `Parent video job ${parentTaskId} was not found.`);
+    }
+  }
+
+  // Check what was actually uploaded before anything is written to the bucket
+  const uploads = {};
+  for (const [field, file] of [['image', imageFile], ['endImage', endImageFile]]) {
+    if (!file) continue;
+    const { image, response } = await readImageUpload(file, field, getModel(model));
+    if (response) return response;
+    uploads[field] = image;
+  }
+
+  return withCredits(env, user, videoCredits({ model, duration }), async () => {
+    const imageKey = uploads.image ? await storeUpload(env, uploads.image, { user: user.email, project }) : existingImageKey;
+    const endImageKey = uploads.endImage ? await storeUpload(env, uploads.endImage, { user: user.email, project }) : existingEndImageKey;
+
+    const job = await startVideoJob(env, { mode, imageKey, endImageKey, parentTaskId, user: user.email, project, prompt, model, duration, ratio, seed });
+    return jsonResponse({ success: true, taskId: job.id, status: job.status, seed: job.seed });
+  });
+}
+
+// The API key scope each JSON action needs; file uploads need 'submit'.
+const ACTION_SCOPES = { generateImage: 'submit', rerun: 'submit', status: 'status', cancel: 'delete' };
+
 export async function onRequest(context) {
   const { request, env } = context;
 
   // Standard CORS and method handling
   if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'POST, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type, X-Runway-Version' } });
+    return corsPreflight('POST, OPTIONS');
   }
   if (request.method !== 'POST') {
     return new Response('Method not allowed', { status: 405 });
   }
 
   // Check for all required environment variables
-  if (!env.RUNWAYML_API_KEY || !env.R2_PUBLIC_URL || !env.IMAGE_BUCKET || !env.TASK_INFO_KV) {
-    const errorMsg = 'CRITICAL FIX REQUIRED: Check Cloudflare project settings for API Key, R2 Public URL, R2 Bucket Binding, and KV Namespace Binding (TASK_INFO_KV).';
-    console.error(errorMsg);
-    return new Response(JSON.stringify({ success: false, error: errorMsg }), { status: 500 });
-  }
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response: authError } = await requireUser(request, env);
+  if (authError) return authError;
+
+  // Finalize tasks whose browser went away, without holding up this request
+  context.waitUntil(maybeReconcile(env).catch(error => console.error('Background reconcile failed:', error)));
 
   try {
     const contentType = request.headers.get('content-type') || '';
 
     // Handles the initial file upload to start generation
     if (contentType.includes('multipart/form-data')) {
-      const formData = await request.formData();
-      const prompt = formData.get('prompt');
-      const imageFile = formData.get('image');
-      // Extract new options from formData with fallbacks
-      const duration = parseInt(formData.get('duration') || '5', 10);
-      const ratio = formData.get('ratio') || '1280:768';
-      
-      if (!prompt || !imageFile) throw new Error('Request is missing prompt or image file.');
-
-      const imageKey = `uploads/${Date.now()}-${imageFile.name}`;
-      await env.IMAGE_BUCKET.put(imageKey, imageFile.stream(), { httpMetadata: { contentType: imageFile.type } });
-      const imageUrlForRunway = `${env.R2_PUBLIC_URL}/${imageKey}`;
-      
-      const videoKey = `videos/${Date.now()}-${imageFile.name.split('.').slice(0, -1).join('.') || imageFile.name}.mp4`;
-
-      // Use the new options in the Runway config
-      const config = {
-        body: {
-          model: 'gen3a_turbo',
-          promptText: prompt,
-          promptImage: imageUrlForRunway,
-          seed: Math.floor(Math.random() * 4294967295),
-          watermark: false,
-          duration: duration, // Use dynamic duration
-          ratio: ratio        // Use dynamic ratio
-        }
-      };
-      
-      const apiUrls = ['https://api.runwayml.com/v1/image_to_video', 'https://api.dev.runwayml.com/v1/image_to_video'];
-      for (const apiUrl of apiUrls) {
-        try {
-          const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${env.RUNWAYML_API_KEY}`, 'X-Runway-Version': '2024-11-06', 'Content-Type': 'application/json' },
-            body: JSON.stringify(config.body),
-          });
-          const data = await response.json();
-          if (response.ok) {
-            await env.TASK_INFO_KV.put(data.id, JSON.stringify({ videoKey: videoKey, r2PublicUrl: env.R2_PUBLIC_URL }));
-            
-            return new Response(JSON.stringify({ success: true, taskId: data.id, status: data.status }), { headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' } });
-          }
-        } catch (fetchError) { /* Ignore and try next URL */ }
-      }
-      throw new Error(`All generation attempts failed.`);
+      const scopeError = requireScope(user, 'submit');
+      if (scopeError) return scopeError;
+      const rateLimited = await checkRateLimit(request, env, 'start');
+      if (rateLimited) return rateLimited;
+
+      // Repeats of a submission (double clicks, retried requests) get the original job back
+      const formData = await readFormData(request);
+      return await withIdempotencyKey(env, user.email, request.headers.get('Idempotency-Key'), formData, () => startVideoGeneration(env, user, formData));
     }
-    
-    // Handles subsequent status checks (NO CHANGES NEEDED HERE)
+
+    // Handles text-to-image starts, re-runs, status checks and cancellation
     else if (contentType.includes('application/json')) {
-      const { taskId, action } = await request.json();
-      if (action !== 'status' || !taskId) throw new Error('Invalid status check request.');
-      
-      const apiUrls = ['https://api.runwayml.com/v1/tasks', 'https://api.dev.runwayml.com/v1/tasks'];
-      for (const baseUrl of apiUrls) {
-        try {
-          const response = await fetch(`${baseUrl}/${taskId}`, { headers: { 'Authorization': `Bearer ${env.RUNWAYML_API_KEY}`, 'X-Runway-Version': '2024-11-06' } });
-          const data = await response.json();
-          
-          if (!response.ok) continue;
-
-          if (data.status === 'SUCCEEDED' && data.output?.[0]) {
-            const runwayVideoUrl = data.output[0];
-            const taskInfo = await env.TASK_INFO_KV.get(taskId, { type: 'json' });
-
-            if (!taskInfo || !taskInfo.videoKey) {
-              throw new Error(`Could not find R2 destination key for task ${taskId}.`);
-            }
-
-            const videoResponse = await fetch(runwayVideoUrl);
-            if (!videoResponse.ok) {
-              throw new Error(`Failed to download generated video from Runway. Status: ${videoResponse.status}`);
-            }
-
-            await env.IMAGE_BUCKET.put(taskInfo.videoKey, videoResponse.body, {
-              httpMetadata: { contentType: 'video/mp4' }
-            });
-
-            const finalVideoUrl = `${taskInfo.r2PublicUrl}/${taskInfo.videoKey}`;
-            
-            context.waitUntil(env.TASK_INFO_KV.delete(taskId));
-
-            return new Response(JSON.stringify({ success: true, status: data.status, progress: data.progress, videoUrl: finalVideoUrl }), { headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' } });
-          }
-
-          return new Response(JSON.stringify({ success: true, status: data.status, progress: data.progress, videoUrl: data.output?.[0] || null }), { headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' } });
-        
-        } catch (error) { /* Ignore and try next URL */ }
+      const body = await readJsonBody(request);
+      const { taskId, action } = body;
+      const scope = Object.hasOwn(ACTION_SCOPES, action) ? ACTION_SCOPES[action] : null;
+      const scopeError = scope && requireScope(user, scope);
+      if (scopeError) return scopeError;
+      const rateLimited = scope && await checkRateLimit(request, env, scope === 'submit' ? 'start' : 'status');
+      if (rateLimited) return rateLimited;
+
+      if (action === 'generateImage') return await startImageGeneration(env, user, body);
+      if (action === 'rerun') return await rerunJob(env, user, body);
+
+      if (!['status', 'cancel'].includes(action) || !taskId) throw apiError('validation', 'Invalid status or cancel request.');
+
+      if (action === 'cancel') {
+        const record = await getTaskRecord(env, taskId);
+        if (!record) throw apiError('not_found', `No job found with ID ${taskId}.`);
+        const ownerError = requireJobOwner(user, record);
+        if (ownerError) return ownerError;
+        if (!isPending(record.status)) return jsonResponse({ success: true, status: record.status });
+
+        await getProvider(env, record.provider).cancelTask(taskId);
+        await updateTaskRecord(env, taskId, record, { status: 'CANCELLED' });
+        return jsonResponse({ success: true, status: 'CANCELLED' });
       }
-      throw new Error(`Failed to check task status for task ID: ${taskId}`);
-    } 
-    else { throw new Error(`Invalid request content-type.`); }
+
+      const result = await checkTaskStatus(env, taskId, promise => context.waitUntil(promise));
+      return jsonResponse({ success: true, ...result });
+    }
+    else { throw apiError('validation', 'Invalid request content-type.', { status: 415 }); }
   } catch (error) {
-    console.error(error);
-    return new Response(JSON.stringify({ success: false, error: error.message }), { status: 500, headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' } });
+    return errorResponseFor(error);
   }
-}
\ No newline at end of file
+}
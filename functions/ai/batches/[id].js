@@ -0,0 +1,29 @@
+import { getBatchRecord, getBatchStatus } from '../../_lib/batches.js';
+import { requireUser } from '../../_lib/auth.js';
+import { checkRateLimit } from '../../_lib/rate-limit.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../../_lib/http.js';
+import { errorResponse, errorResponseFor } from '../../_lib/errors.js';
+
+export const onRequestOptions = () => corsPreflight('GET, OPTIONS');
+
+// GET /ai/batches/:id — the batch with every cell's current status
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireUser(request, env, 'status');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  const batch = await getBatchRecord(env, params.id);
+  if (!batch) return errorResponse('not_found', `No batch found with ID ${params.id}.`);
+
+  try {
+    return jsonResponse({ success: true, batch: await getBatchStatus(env, batch, p => context.waitUntil(p)) });
+  } catch (error) {
+    return errorResponseFor(error);
+  }
+}
@@ -0,0 +1,90 @@
+import { storeUpload, sourceImageExists } from '../../_lib/generate.js';
+import { startBatch, MAX_BATCH_JOBS } from '../../_lib/batches.js';
+import { readImageUpload } from '../../_lib/images.js';
+import { chargeCredits, refundCredits } from '../../_lib/budgets.js';
+import { DEFAULT_MODEL, MAX_SEED, getModel, isValidSeed, validateGenerationOptions, videoCredits } from '../../../shared/models.js';
+import { requireUser } from '../../_lib/auth.js';
+import { checkRateLimit } from '../../_lib/rate-limit.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../../_lib/http.js';
+import { errorResponse, errorResponseFor, readFormData, checkTextFields } from '../../_lib/errors.js';
+
+export const onRequestOptions = () => corsPreflight('POST, OPTIONS');
+
+// POST /ai/batches — multipart with repeated `image` files (or `imageKey`s),
+// repeated `prompt`s and optional repeated `seed`s, plus one model, duration,
+// ratio and optional project for the whole batch. Starts a job for every
+// combination.
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response: authError } = await requireUser(request, env, 'submit');
+  if (authError) return authError;
+
+  try {
+    const formData = await readFormData(request);
+    checkTextFields(formData, ['imageKey', 'prompt', 'seed', 'model', 'duration', 'ratio', 'project']);
+    const imageFiles = formData.getAll('image');
+    const existingImageKeys = formData.getAll('imageKey').filter(Boolean);
+    const prompts = formData.getAll('prompt').map(prompt => prompt.trim()).filter(Boolean);
+    const seeds = formData.getAll('seed').filter(seed => seed.trim()).map(Number);
+    const model = formData.get('model') || DEFAULT_MODEL;
+    const duration = parseInt(formData.get('duration') || getModel(model)?.durations[0], 10);
+    const ratio = formData.get('ratio') || getModel(model)?.ratios[0];
+    const project = formData.get('project') || undefined;
+
+    const imageCount = imageFiles.length + existingImageKeys.length;
+    if (!imageCount || !prompts.length) {
+      return errorResponse('validation', 'A batch needs at least one image and one prompt.');
+    }
+
+    const jobCount = imageCount * prompts.length * Math.max(seeds.length, 1);
+    if (jobCount > MAX_BATCH_JOBS) {
+      return errorResponse('validation', `This batch would start ${jobCount} jobs; the limit is ${MAX_BATCH_JOBS}.`);
+    }
+
+    const rateLimited = await checkRateLimit(request, env, 'start');
+    if (rateLimited) return rateLimited;
+
+    // Reject the whole batch up front rather than starting part of it
+    const validationErrors = [...new Set(prompts.flatMap(prompt => validateGenerationOptions({ model, duration, ratio, prompt })))];
+    const invalidSeeds = seeds.filter(seed => !isValidSeed(seed));
+    if (invalidSeeds.length) validationErrors.push(`Seeds must be whole numbers between 0 and ${MAX_SEED}.`);
+    if (validationErrors.length) {
+      return errorResponse('validation', validationErrors.join(' '), { errors: validationErrors });
+    }
+
+    for (const key of existingImageKeys) {
+      if (!(await sourceImageExists(env, key))) {
+        return errorResponse('validation', `Source image ${key} was not found.`);
+      }
+    }
+
+    const images = [];
+    for (const [index, file] of imageFiles.entries()) {
+      const { image, response } = await readImageUpload(file, `image[${index}]`, getModel(model));
+      if (response) return response;
+      images.push(image);
+    }
+
+    // Book the whole batch against the budget, then give back what did not start
+    const jobCredits = videoCredits({ model, duration });
+    const { charge, response: budgetError } = await chargeCredits(env, user, jobCount * jobCredits);
+    if (budgetError) return budgetError;
+
+    let batch;
+    try {
+      const imageKeys = [...existingImageKeys];
+      for (const image of images) imageKeys.push(await storeUpload(env, image, { user: user.email, project }));
+      batch = await startBatch(env, { imageKeys, prompts, seeds, model, duration, ratio, user: user.email, project });
+    } catch (error) {
+      await refundCredits(env, charge);
+      throw error;
+    }
+    await refundCredits(env, charge, batch.cells.filter(cell => !cell.taskId).length * jobCredits);
+    return jsonResponse({ success: true, batch });
+  } catch (error) {
+    return errorResponseFor(error);
+  }
+}
@@ -0,0 +1,21 @@
+import { getBudget } from '../_lib/budgets.js';
+import { requireUser } from '../_lib/auth.js';
+import { checkRateLimit } from '../_lib/rate-limit.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../_lib/http.js';
+
+export const onRequestOptions = () => corsPreflight('GET, OPTIONS');
+
+// GET /ai/budget — the caller's daily and monthly credit budgets and spend
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response: authError } = await requireUser(request, env, 'status');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  return jsonResponse({ success: true, budget: await getBudget(env, user) });
+}
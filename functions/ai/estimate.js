@@ -0,0 +1,47 @@
+import { estimateGeneration } from '../_lib/estimate.js';
+import { requireUser } from '../_lib/auth.js';
+import { checkRateLimit } from '../_lib/rate-limit.js';
+import { DEFAULT_MODEL, getModel } from '../../shared/models.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../_lib/http.js';
+import { errorResponseFor, readJsonBody, readFormData, checkTextFields } from '../_lib/errors.js';
+
+export const onRequestOptions = () => corsPreflight('POST, OPTIONS');
+
+// POST /ai/estimate — the option fields of a video start (model, duration,
+// ratio, and optionally prompt, seed, mode, endImageKey, upscale) as multipart
+// or JSON, without images. Nothing is started; the response has the validation
+// errors, credit cost, expected turnaround and the caller's budget.
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response: authError } = await requireUser(request, env, 'submit');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  try {
+    const contentType = request.headers.get('content-type') || '';
+    let fields;
+    if (contentType.includes('application/json')) {
+      fields = await readJsonBody(request);
+    } else {
+      const formData = await readFormData(request);
+      checkTextFields(formData, [...new Set(formData.keys())]);
+      fields = Object.fromEntries(formData);
+    }
+
+    // Same defaults and parsing as the multipart start
+    const model = fields.model || DEFAULT_MODEL;
+    const duration = parseInt(fields.duration || getModel(model)?.durations[0], 10);
+    const ratio = fields.ratio || getModel(model)?.ratios[0];
+    const seed = fields.seed !== undefined && fields.seed !== '' ? Number(fields.seed) : undefined;
+
+    const estimate = await estimateGeneration(env, user, { ...fields, model, duration, ratio, seed });
+    return jsonResponse({ success: true, ...estimate });
+  } catch (error) {
+    return errorResponseFor(error);
+  }
+}
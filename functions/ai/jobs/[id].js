@@ -0,0 +1,52 @@
+import { getProvider } from '../../_lib/providers/index.js';
+import { getTaskRecord, deleteTaskRecord, isPending } from '../../_lib/tasks.js';
+import { requireUser, requireJobOwner } from '../../_lib/auth.js';
+import { checkRateLimit } from '../../_lib/rate-limit.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../../_lib/http.js';
+import { errorResponse, errorResponseFor } from '../../_lib/errors.js';
+
+export const onRequestOptions = () => corsPreflight('GET, DELETE, OPTIONS');
+
+// GET /ai/jobs/:id
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireUser(request, env, 'status');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  const job = await getTaskRecord(env, params.id);
+  if (!job) return errorResponse('not_found', `No job found with ID ${params.id}.`);
+  return jsonResponse({ success: true, job });
+}
+
+// DELETE /ai/jobs/:id — cancels the job if it is still running, then removes
+// its record and output.
+export async function onRequestDelete(context) {
+  const { request, env, params } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response: authError } = await requireUser(request, env, 'delete');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  const job = await getTaskRecord(env, params.id);
+  if (!job) return errorResponse('not_found', `No job found with ID ${params.id}.`);
+  const ownerError = requireJobOwner(user, job);
+  if (ownerError) return ownerError;
+
+  try {
+    if (isPending(job.status)) await getProvider(env, job.provider).cancelTask(job.id);
+    await deleteTaskRecord(env, job);
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponseFor(error);
+  }
+}
@@ -0,0 +1,24 @@
+import { getTaskChain } from '../../../_lib/tasks.js';
+import { requireUser } from '../../../_lib/auth.js';
+import { checkRateLimit } from '../../../_lib/rate-limit.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../../../_lib/http.js';
+import { errorResponse } from '../../../_lib/errors.js';
+
+export const onRequestOptions = () => corsPreflight('GET, OPTIONS');
+
+// GET /ai/jobs/:id/chain — the job and the clips it continues, oldest first
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireUser(request, env, 'status');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  const jobs = await getTaskChain(env, params.id);
+  if (!jobs) return errorResponse('not_found', `No job found with ID ${params.id}.`);
+  return jsonResponse({ success: true, jobs });
+}
@@ -0,0 +1,43 @@
+import { listTaskRecords, JOB_STATUSES } from '../../_lib/tasks.js';
+import { requireUser } from '../../_lib/auth.js';
+import { checkRateLimit } from '../../_lib/rate-limit.js';
+import { jsonResponse, corsPreflight, checkBindings } from '../../_lib/http.js';
+import { errorResponse, errorResponseFor } from '../../_lib/errors.js';
+
+const MAX_PAGE_SIZE = 100;
+
+export const onRequestOptions = () => corsPreflight('GET, OPTIONS');
+
+// GET /ai/jobs?status=SUCCEEDED&sourceImage=<sha256>&limit=20&cursor=...
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireUser(request, env, 'list');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  const params = new URL(request.url).searchParams;
+  const status = params.get('status')?.toUpperCase() || null;
+  const sourceImageHash = params.get('sourceImage')?.toLowerCase() || null;
+  const limit = Math.min(parseInt(params.get('limit') || '20', 10) || 20, MAX_PAGE_SIZE);
+  const cursor = params.get('cursor') || undefined;
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    return errorResponse('validation', `Unknown status filter "${status}". Expected one of: ${JOB_STATUSES.join(', ')}.`);
+  }
+
+  if (sourceImageHash && !/^[0-9a-f]{64}$/.test(sourceImageHash)) {
+    return errorResponse('validation', 'sourceImage must be the SHA-256 hex digest of a source image.');
+  }
+
+  try {
+    const { jobs, cursor: nextCursor } = await listTaskRecords(env, { status, sourceImageHash, limit, cursor });
+    return jsonResponse({ success: true, jobs, cursor: nextCursor });
+  } catch (error) {
+    return errorResponseFor(error);
+  }
+}
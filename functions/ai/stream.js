@@ -0,0 +1,105 @@
+import { checkTaskStatus } from '../_lib/status.js';
+import { requireUser } from '../_lib/auth.js';
+import { checkRateLimit } from '../_lib/rate-limit.js';
+import { corsPreflight, checkBindings } from '../_lib/http.js';
+import { errorResponse } from '../_lib/errors.js';
+
+// How often the stream asks Runway for progress.
+const CHECK_INTERVAL_MS = 5000;
+// Streams are closed after this long; EventSource reconnects on its own.
+const MAX_STREAM_MS = 5 * 60 * 1000;
+const RECONNECT_DELAY_MS = 3000;
+const MAX_CONSECUTIVE_ERRORS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const onRequestOptions = () => corsPreflight('GET, OPTIONS');
+
+// GET /ai/stream?taskId=... — Server-Sent Events with `status`, `progress`,
+// `complete` ({ videoUrl } or, for image jobs, { imageUrl, imageKey }) and
+// `failure` ({ error, code }) events.
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { response: authError } = await requireUser(request, env, 'status');
+  if (authError) return authError;
+
+  const rateLimited = await checkRateLimit(request, env, 'status');
+  if (rateLimited) return rateLimited;
+
+  const taskId = new URL(request.url).searchParams.get('taskId');
+  if (!taskId) return errorResponse('validation', 'Missing taskId query parameter.');
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = (event, data) => writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+
+  const run = async () => {
+    const startedAt = Date.now();
+    let lastStatus = null;
+    let lastProgress = null;
+    let errors = 0;
+
+    try {
+      await writer.write(encoder.encode(`retry: ${RECONNECT_DELAY_MS}\n\n`));
+      while (Date.now() - startedAt < MAX_STREAM_MS) {
+        let result;
+        try {
+          result = await checkTaskStatus(env, taskId, promise => context.waitUntil(promise));
+          errors = 0;
+        } catch (error) {
+          // A job the provider does not know will not turn up later
+          if (error.code === 'not_found') {
+            await send('failure', { error: error.message, code: error.code });
+            break;
+          }
+          // Anything else says nothing about the job, which keeps running at the
+          // provider. Closing without a failure event makes EventSource reconnect,
+          // after the provider's Retry-After when there is one.
+          console.error(error);
+          if (++errors >= MAX_CONSECUTIVE_ERRORS) {
+            const retryAfter = error.details?.retryAfter;
+            if (retryAfter) await writer.write(encoder.encode(`retry: ${retryAfter * 1000}\n\n`));
+            break;
+          }
+          await sleep(CHECK_INTERVAL_MS);
+          continue;
+        }
+
+        if (result.status !== lastStatus) await send('status', { status: result.status });
+        if (result.progress != null && result.progress !== lastProgress) await send('progress', { progress: result.progress });
+        lastStatus = result.status;
+        lastProgress = result.progress;
+
+        if (result.status === 'SUCCEEDED') {
+          await send('complete', { videoUrl: result.videoUrl, imageUrl: result.imageUrl, imageKey: result.imageKey });
+          break;
+        }
+        if (['FAILED', 'CANCELLED', 'EXPIRED'].includes(result.status)) {
+          await send('failure', { error: result.failure || `Video generation ${result.status.toLowerCase()}`, code: result.code || null });
+          break;
+        }
+        // Comment line; the write fails once the client has gone away
+        await writer.write(encoder.encode(': keepalive\n\n'));
+        await sleep(CHECK_INTERVAL_MS);
+      }
+    } catch {
+      // Writes fail once the client has disconnected; nothing left to do
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  };
+
+  context.waitUntil(run());
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    },
+  });
+}
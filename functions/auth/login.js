@@ -0,0 +1,40 @@
+import { getUser, createLoginToken, normalizeEmail, LOGIN_TTL_SECONDS } from '../_lib/auth.js';
+import { sendMail, checkMailer } from '../_lib/mailer.js';
+import { checkRateLimit } from '../_lib/rate-limit.js';
+import { jsonResponse, checkBindings } from '../_lib/http.js';
+import { errorResponse, errorResponseFor, readJsonBody } from '../_lib/errors.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// POST /auth/login { email } — emails a sign-in link to users on the list. The
+// response is the same whether or not the address is known.
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  // Every request can send a mail and store a token
+  const rateLimited = await checkRateLimit(request, env, 'login');
+  if (rateLimited) return rateLimited;
+
+  try {
+    const { email } = await readJsonBody(request);
+    if (!EMAIL_PATTERN.test(normalizeEmail(email))) {
+      return errorResponse('validation', 'Enter a valid email address.');
+    }
+    checkMailer(env);
+
+    if (await getUser(env, email)) {
+      const token = await createLoginToken(env, email);
+      const link = `${new URL(request.url).origin}/auth/verify?token=${token}`;
+      await sendMail(env, {
+        to: normalizeEmail(email),
+        subject: 'Your sign-in link',
+        text: `Sign in to the video generator: ${link}\n\nThe link works once and expires in ${LOGIN_TTL_SECONDS / 60} minutes.`,
+      });
+    }
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponseFor(error);
+  }
+}
@@ -0,0 +1,15 @@
+import { getSession, destroySession, sessionCookie } from '../_lib/auth.js';
+import { jsonResponse, checkBindings } from '../_lib/http.js';
+
+// POST /auth/logout — ends the session and clears the cookie.
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const session = await getSession(request, env);
+  if (session) await destroySession(env, session);
+  const response = jsonResponse({ success: true });
+  response.headers.set('Set-Cookie', sessionCookie(request, ''));
+  return response;
+}
@@ -0,0 +1,13 @@
+import { requireUser } from '../_lib/auth.js';
+import { jsonResponse, checkBindings } from '../_lib/http.js';
+
+// GET /auth/me — the signed-in user, or 401.
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const { user, response } = await requireUser(request, env);
+  if (response) return response;
+  return jsonResponse({ success: true, user: { email: user.email, admin: Boolean(user.admin) } });
+}
@@ -0,0 +1,37 @@
+import { redeemLoginToken, getUser, createSession, sessionCookie } from '../_lib/auth.js';
+import { checkBindings } from '../_lib/http.js';
+
+const redirect = (location, headers = {}) => new Response(null, { status: 303, headers: { Location: location, ...headers } });
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// GET /auth/verify?token=... — the link from the sign-in email. Mail scanners
+// fetch links before the recipient clicks them, so this only shows a button
+// that POSTs the token back; the token is used up by the POST.
+export async function onRequestGet(context) {
+  const token = new URL(context.request.url).searchParams.get('token') || '';
+  const page = `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="referrer" content="no-referrer"><title>Sign in</title></head>
+<body style="font-family: sans-serif; max-width: 400px; margin: 80px auto; text-align: center;">
+<form method="POST" action="/auth/verify">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit" style="padding: 10px 20px;">Sign in to the video generator</button>
+</form>
+</body></html>`;
+  return new Response(page, { headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' } });
+}
+
+// POST /auth/verify — the form above. Starts a session and sends the browser
+// back to the app.
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const configError = checkBindings(env);
+  if (configError) return configError;
+
+  const formData = await request.formData().catch(() => null);
+  const token = formData?.get('token');
+  const email = token && await redeemLoginToken(env, token);
+  if (!email || !(await getUser(env, email))) return redirect('/?signin=expired');
+
+  return redirect('/', { 'Set-Cookie': sessionCookie(request, await createSession(env, email)) });
+}
@@ -0,0 +1,132 @@
+// Image-to-video model catalog shared by the React app and the /ai function,
+// so the form only offers combinations the function will accept.
+export const MODELS = {
+  gen3a_turbo: {
+    label: 'Gen-3 Alpha Turbo',
+    durations: [5, 10],
+    ratios: ['1280:768', '768:1280'],
+    maxPromptLength: 1000,
+    // Smallest source image side in pixels, and the widest width:height (or
+    // height:width) a source image may have
+    minImageSide: 320,
+    maxImageAspect: 2,
+    // Accepts an end frame as well as a start frame
+    supportsLastFrame: true,
+    // Runway credits per second of video
+    creditsPerSecond: 5,
+    // Rough time from start to finished clip, until there are jobs to go by
+    typicalTurnaroundSeconds: 45,
+  },
+  gen4_turbo: {
+    label: 'Gen-4 Turbo',
+    durations: [5, 10],
+    ratios: ['1280:720', '720:1280', '1104:832', '832:1104', '960:960', '1584:672'],
+    maxPromptLength: 1000,
+    minImageSide: 320,
+    maxImageAspect: 2.5,
+    creditsPerSecond: 5,
+    typicalTurnaroundSeconds: 60,
+  },
+  veo3: {
+    label: 'Veo 3',
+    durations: [8],
+    ratios: ['1280:720', '720:1280'],
+    maxPromptLength: 1000,
+    minImageSide: 320,
+    maxImageAspect: 2,
+    creditsPerSecond: 40,
+    typicalTurnaroundSeconds: 120,
+  },
+};
+
+export const DEFAULT_MODEL = 'gen3a_turbo';
+
+// single: one start frame; keyframes: start and end frame; loop: the start
+// frame is reused as the end frame so the clip loops cleanly.
+export const GENERATION_MODES = ['single', 'keyframes', 'loop'];
+
+// Own keys only, so ids like "constructor" are unknown rather than Object.prototype members
+export const getModel = (id) => (Object.hasOwn(MODELS, id) ? MODELS[id] : null);
+
+// Seeds are unsigned 32-bit integers; the same seed, source and options
+// reproduce a result.
+export const MAX_SEED = 4294967295;
+
+export const isValidSeed = (seed) => Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+
+// What a video job is billed, for options that passed validateGenerationOptions.
+export const videoCredits = ({ model, duration }) => getModel(model).creditsPerSecond * Number(duration);
+
+export function describeRatio(ratio) {
+  const [width, height] = ratio.split(':').map(Number);
+  const shape = width > height ? 'Landscape' : width < height ? 'Portrait' : 'Square';
+  return `${shape} (${ratio})`;
+}
+
+// Returns a list of human-readable problems with the requested combination;
+// an empty list means the options are valid for the model.
+export function validateGenerationOptions({ model, duration, ratio, prompt, seed, mode = 'single', hasEndFrame = false }) {
+  const spec = getModel(model);
+  if (!spec) return [`Unknown model "${model}". Available models: ${Object.keys(MODELS).join(', ')}.`];
+
+  const errors = [];
+  if (!spec.durations.includes(Number(duration))) {
+    errors.push(`${spec.label} supports durations of ${spec.durations.join(' or ')} seconds, not ${duration}.`);
+  }
+  if (!spec.ratios.includes(ratio)) {
+    errors.push(`${spec.label} supports the ratios ${spec.ratios.join(', ')}, not ${ratio}.`);
+  }
+  if (prompt && prompt.length > spec.maxPromptLength) {
+    errors.push(`${spec.label} prompts are limited to ${spec.maxPromptLength} characters.`);
+  }
+  if (seed !== undefined && !isValidSeed(seed)) {
+    errors.push(`Seed must be a whole number between 0 and ${MAX_SEED}.`);
+  }
+  if (!GENERATION_MODES.includes(mode)) {
+    errors.push(`Unknown mode "${mode}". Expected one of: ${GENERATION_MODES.join(', ')}.`);
+  } else if (mode !== 'single' && !spec.supportsLastFrame) {
+    errors.push(`${spec.label} does not support ${mode === 'loop' ? 'loop mode' : 'an end frame'}.`);
+  } else if (mode === 'keyframes' && !hasEndFrame) {
+    errors.push('Keyframes mode needs an end frame.');
+  } else if (mode !== 'keyframes' && hasEndFrame) {
+    errors.push(`An end frame cannot be used in ${mode} mode.`);
+  }
+  return errors;
+}
+
+// Text-to-image models for generating a source still when there is no upload.
+export const IMAGE_MODELS = {
+  gen4_image: {
+    label: 'Gen-4 Image',
+    ratios: ['1280:720', '720:1280', '1920:1080', '1080:1920', '1024:1024'],
+    maxPromptLength: 1000,
+    // Ratios whose shorter side is 1080 pixels are billed at the 1080p rate
+    creditsPerImage: 5,
+    creditsPerImage1080p: 8,
+  },
+};
+
+export const DEFAULT_IMAGE_MODEL = 'gen4_image';
+
+export const getImageModel = (id) => (Object.hasOwn(IMAGE_MODELS, id) ? IMAGE_MODELS[id] : null);
+
+export function imageCredits({ model, ratio }) {
+  const spec = getImageModel(model);
+  return Math.min(...ratio.split(':').map(Number)) >= 1080 ? spec.creditsPerImage1080p : spec.creditsPerImage;
+}
+
+export function validateImageOptions({ model, ratio, prompt }) {
+  const spec = getImageModel(model);
+  if (!spec) return [`Unknown image model "${model}". Available models: ${Object.keys(IMAGE_MODELS).join(', ')}.`];
+
+  const errors = [];
+  if (!spec.ratios.includes(ratio)) {
+    errors.push(`${spec.label} supports the ratios ${spec.ratios.join(', ')}, not ${ratio}.`);
+  }
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    errors.push('An image prompt is required.');
+  } else if (prompt.length > spec.maxPromptLength) {
+    errors.push(`${spec.label} prompts are limited to ${spec.maxPromptLength} characters.`);
+  }
+  return errors;
+}
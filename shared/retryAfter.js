@@ -0,0 +1,10 @@
+// Milliseconds a 429 or 503 response asks the client to wait, from its Retry-After
+// header (seconds or an HTTP date). Falls back to `fallbackMs` when absent.
+export function retryAfterMs(response, fallbackMs = 30000) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return fallbackMs;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? fallbackMs : Math.max(date - Date.now(), 0);
+}
@@ -0,0 +1,108 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const SCOPES = ['submit', 'status', 'list', 'delete'];
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : 'never');
+
+const request = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json();
+  if (!response.ok || !data.success) throw new Error(data.error || 'API key request failed');
+  return data;
+};
+
+// Admin view of the API keys scripts use: issue a labelled key with some
+// scopes, see when each key was last used, and revoke the ones no longer needed.
+export default function ApiKeysPanel() {
+  const [keys, setKeys] = useState([]);
+  const [label, setLabel] = useState('');
+  const [scopes, setScopes] = useState(['submit', 'status']);
+  const [newKey, setNewKey] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadKeys = useCallback(() => request('/admin/keys')
+    .then(data => setKeys(data.keys))
+    .catch(err => setError(err.message)), []);
+
+  useEffect(() => { loadKeys(); }, [loadKeys]);
+
+  const toggleScope = (scope) => {
+    setScopes(current => (current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]));
+  };
+
+  const issueKey = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError('');
+    try {
+      const data = await request('/admin/keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label, scopes }),
+      });
+      setNewKey(data.apiKey);
+      setLabel('');
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const revokeKey = async (key) => {
+    if (!window.confirm(`Revoke "${key.label}"? Scripts using it will stop working.`)) return;
+    setError('');
+    try {
+      await request(`/admin/keys/${encodeURIComponent(key.id)}`, { method: 'DELETE' });
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '20px', padding: '10px', border: '1px solid #ddd' }}>
+      <h3 style={{ marginTop: 0 }}>API keys</h3>
+      <form onSubmit={issueKey} style={{ marginBottom: '15px' }}>
+        <input placeholder="Label, e.g. nightly pipeline" value={label} onChange={e => setLabel(e.target.value)} style={{ width: '100%', padding: '8px', boxSizing: 'border-box', marginBottom: '5px' }} />
+        {SCOPES.map(scope => (
+          <label key={scope} style={{ marginRight: '15px' }}>
+            <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} /> {scope}
+          </label>
+        ))}
+        <button type="submit" disabled={isSaving || !label.trim() || !scopes.length} style={{ marginLeft: '10px', padding: '5px 10px' }}>
+          {isSaving ? 'Issuing...' : 'Issue key'}
+        </button>
+      </form>
+      {newKey && (
+        <div style={{ marginBottom: '15px', padding: '10px', backgroundColor: '#fff8e1', color: '#333' }}>
+          Copy this key now; it will not be shown again:
+          <code style={{ display: 'block', marginTop: '5px', wordBreak: 'break-all' }}>{newKey}</code>
+        </div>
+      )}
+      {keys.length ? (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}><th>Label</th><th>Scopes</th><th>Created</th><th>Last used</th><th /></tr>
+          </thead>
+          <tbody>
+            {keys.map(key => (
+              <tr key={key.id} style={{ borderTop: '1px solid #eee' }}>
+                <td title={`Issued by ${key.createdBy}`}>{key.label}</td>
+                <td>{key.scopes.join(', ')}</td>
+                <td>{formatTime(key.createdAt)}</td>
+                <td>{formatTime(key.lastUsedAt)}</td>
+                <td><button onClick={() => revokeKey(key)} style={{ color: '#c62828' }}>Revoke</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>No API keys yet.</p>
+      )}
+      {error && (<div style={{ marginTop: '10px', padding: '10px', backgroundColor: '#ffebee', color: '#c62828' }}>Error: {error}</div>)}
+    </div>
+  );
+}
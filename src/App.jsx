@@ -1,6 +1,42 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { MODELS, DEFAULT_MODEL, IMAGE_MODELS, DEFAULT_IMAGE_MODEL, describeRatio, MAX_SEED, imageCredits } from '../shared/models.js';
+import LoopPlayer from './LoopPlayer.jsx';
+import ChainPlayer from './ChainPlayer.jsx';
+import BatchPanel from './BatchPanel.jsx';
+import SignIn from './SignIn.jsx';
+import ApiKeysPanel from './ApiKeysPanel.jsx';
+import CropEditor from './CropEditor.jsx';
+import { captureFrame } from './captureFrame.js';
+import { cropImage } from './cropImage.js';
+import { retryAfterMs } from '../shared/retryAfter.js';
+import { describeApiError } from './apiErrors.js';
+
+// A resent start whose first attempt still holds the Idempotency-Key gets a 409.
+// It is asked again this often (inside the start rate limit) until the first
+// attempt's response is replayed, for at most as long as the server holds the key.
+const IDEMPOTENCY_RETRY_MS = 7000;
+const IDEMPOTENCY_WAIT_MS = 2 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const describeBudget = ({ limit, remaining }) => (limit === null ? 'no limit' : `${remaining} of ${limit}`);
+
+function describeEstimate({ valid, errors, credits, turnaround, withinBudget }) {
+  if (!valid) return errors.join(' ');
+  const minutes = Math.round(turnaround.seconds / 60);
+  const time = minutes >= 2 ? `${minutes} min` : `${turnaround.seconds}s`;
+  return `${credits} credits · about ${time}${withinBudget ? '' : ' · over your budget'}`;
+}
 
 export default function App() {
+  // The signed-in user; undefined while checking, null when signed out
+  const [user, setUser] = useState(undefined);
+  const [batchMode, setBatchMode] = useState(false);
+  const [showApiKeys, setShowApiKeys] = useState(false);
+  // Daily and monthly credit budgets from /ai/budget
+  const [budget, setBudget] = useState(null);
+  // Cost, turnaround and validation of the current options from /ai/estimate
+  const [estimate, setEstimate] = useState(null);
   const [prompt, setPrompt] = useState('');
   const [videoUrl, setVideoUrl] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
@@ -9,88 +45,359 @@ export default function App() {
   const [error, setError] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
+  // Source image: either an uploaded file or an R2 key from text-to-image
+  const [sourceMode, setSourceMode] = useState('upload');
+  const [imagePrompt, setImagePrompt] = useState('');
+  const [imageRatio, setImageRatio] = useState(IMAGE_MODELS[DEFAULT_IMAGE_MODEL].ratios[0]);
+  const [sourceImageKey, setSourceImageKey] = useState(null);
+  const hasSource = Boolean(selectedFile || sourceImageKey);
+  // Optional end frame for models that interpolate between two keyframes
+  const [endFile, setEndFile] = useState(null);
+  const [endPreviewUrl, setEndPreviewUrl] = useState(null);
+
+  // The areas picked in the crop editors, in source image pixels
+  const [crop, setCrop] = useState(null);
+  const [endCrop, setEndCrop] = useState(null);
+  // Loop mode reuses the start image as the end frame
+  const [loopMode, setLoopMode] = useState(false);
+  const [resultIsLoop, setResultIsLoop] = useState(false);
+  // Continuation: the clips shown in the player and the clip being extended
+  const [chain, setChain] = useState([]);
+  const [parentTaskId, setParentTaskId] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const playerRef = useRef(null);
 
-  // New state for user options
-  const [duration, setDuration] = useState('5');
-  const [ratio, setRatio] = useState('1280:768');
+  // State for user options
+  const [model, setModel] = useState(DEFAULT_MODEL);
+  const [duration, setDuration] = useState(String(MODELS[DEFAULT_MODEL].durations[0]));
+  const [ratio, setRatio] = useState(MODELS[DEFAULT_MODEL].ratios[0]);
+  const [seed, setSeed] = useState('');
+  const modelSpec = MODELS[model];
+
+  // The last video job started, so it can be re-run with the same seed
+  const [lastJob, setLastJob] = useState(null);
 
   const pollIntervalRef = useRef(null);
+  const pollInFlightRef = useRef(false);
+  // Polling pauses until this time after the server answers 429
+  const pollPausedUntilRef = useRef(0);
+  const eventSourceRef = useRef(null);
+
+  const stopWatching = () => {
+    if (pollIntervalRef.current) {
+      clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = null;
+    }
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+  };
+
+  useEffect(() => stopWatching, []);
 
   useEffect(() => {
-    return () => {
-      if (pollIntervalRef.current) {
-        clearInterval(pollIntervalRef.current);
-      }
-    };
+    fetch('/auth/me')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setUser(data?.user || null))
+      .catch(() => setUser(null));
   }, []);
 
+  const loadBudget = () => fetch('/ai/budget')
+    .then(response => (response.ok ? response.json() : null))
+    .then(data => data && setBudget(data.budget))
+    .catch(() => {});
+
+  useEffect(() => {
+    if (user) loadBudget();
+  }, [user]);
+
+  // Re-estimate shortly after the options settle
+  const estimateMode = loopMode ? 'loop' : endFile ? 'keyframes' : 'single';
+  useEffect(() => {
+    if (!user || batchMode) return undefined;
+    const timer = setTimeout(() => {
+      fetch('/ai/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, duration, ratio, mode: estimateMode, seed: seed.trim() }),
+      })
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => setEstimate(data?.success ? data : null))
+        .catch(() => setEstimate(null));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [user, batchMode, model, duration, ratio, estimateMode, seed, budget]);
+
+  const signOut = async () => {
+    stopWatching();
+    await fetch('/auth/logout', { method: 'POST' }).catch(() => {});
+    setUser(null);
+  };
+
   const resetState = () => {
     setVideoUrl(null);
+    setChain([]);
     setIsGenerating(false);
     setProgress(0);
     setStatus('');
     setError('');
   };
 
+  // Returns an error message for files the function will not accept, else null
+  const validateImageFile = (file) => {
+    const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+    if (!validTypes.includes(file.type)) return 'Please select a valid image format (JPEG, PNG, WebP)';
+    const maxSize = 10 * 1024 * 1024; // 10MB
+    if (file.size > maxSize) return 'The file is too large. Maximum 10MB allowed.';
+    return null;
+  };
+
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     if (file) {
-      const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-      if (!validTypes.includes(file.type)) {
-        setError('Please select a valid image format (JPEG, PNG, WebP)');
-        return;
-      }
-      const maxSize = 10 * 1024 * 1024; // 10MB
-      if (file.size > maxSize) {
-        setError('The file is too large. Maximum 10MB allowed.');
+      const fileError = validateImageFile(file);
+      if (fileError) {
+        setError(fileError);
         return;
       }
+      setParentTaskId(null);
       setSelectedFile(file);
       setError('');
       setPreviewUrl(URL.createObjectURL(file));
     }
   };
 
+  const handleEndFileSelect = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const fileError = validateImageFile(file);
+      if (fileError) {
+        setError(fileError);
+        return;
+      }
+      setEndFile(file);
+      setError('');
+      setEndPreviewUrl(URL.createObjectURL(file));
+    }
+  };
+
+  const removeEndFile = () => {
+    setEndFile(null);
+    setEndPreviewUrl(null);
+    setEndCrop(null);
+    const fileInput = document.getElementById('endFileInput');
+    if (fileInput) fileInput.value = '';
+  };
+
+  // Keep duration and ratio within what the newly selected model supports
+  const handleModelChange = (nextModel) => {
+    const spec = MODELS[nextModel];
+    setModel(nextModel);
+    if (!spec.durations.includes(Number(duration))) setDuration(String(spec.durations[0]));
+    if (!spec.ratios.includes(ratio)) setRatio(spec.ratios[0]);
+    if (!spec.supportsLastFrame) {
+      removeEndFile();
+      setLoopMode(false);
+    }
+  };
+
+  const handleLoopModeChange = (enabled) => {
+    setLoopMode(enabled);
+    if (enabled) removeEndFile();
+  };
+
   const removeFile = () => {
+    setParentTaskId(null);
     setSelectedFile(null);
+    setSourceImageKey(null);
     setPreviewUrl(null);
+    setCrop(null);
     const fileInput = document.getElementById('fileInput');
     if (fileInput) fileInput.value = '';
   };
 
-  const pollForStatus = (taskId) => {
+  const handleSourceModeChange = (mode) => {
+    removeFile();
+    setSourceMode(mode);
+  };
+
+  // The error to throw for a failed /ai response. A 401 means the session has
+  // ended, so the sign-in form comes back.
+  const apiFailure = (response, data, fallback) => {
+    if (response.status === 401) {
+      stopWatching();
+      setUser(null);
+    }
+    return new Error(describeApiError(data, fallback));
+  };
+
+  const handleSucceeded = (result, onComplete) => {
+    onComplete(result);
+    setIsGenerating(false);
+    stopWatching();
+  };
+
+  const handleFailed = (message) => {
+    setError(message);
+    setIsGenerating(false);
+    stopWatching();
+  };
+
+  // Fallback for environments without the streaming endpoint
+  const pollForStatus = (taskId, onComplete) => {
     pollIntervalRef.current = setInterval(async () => {
+      // Skip this tick if the previous status check is still running or the server asked us to back off
+      if (pollInFlightRef.current || Date.now() < pollPausedUntilRef.current) return;
+      pollInFlightRef.current = true;
       try {
         const statusResponse = await fetch('/ai', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ taskId, action: 'status' }),
         });
-        if (!statusResponse.ok) return;
+        // Rate-limited, or Runway is down and the server knows for how long
+        if (statusResponse.headers.has('Retry-After')) {
+          const waitMs = retryAfterMs(statusResponse);
+          pollPausedUntilRef.current = Date.now() + waitMs;
+          const reason = statusResponse.status === 429 ? 'Too many requests' : 'Runway is unavailable';
+          setStatus(`${reason}; checking again in ${Math.ceil(waitMs / 1000)}s...`);
+          return;
+        }
+        // Auth and missing-job errors will not go away; anything else is retried on the next tick
+        if (!statusResponse.ok && ![401, 403, 404].includes(statusResponse.status)) return;
         const statusData = await statusResponse.json();
-        if (!statusData.success) throw new Error(statusData.error || 'Failed to check status');
+        if (!statusData.success) throw apiFailure(statusResponse, statusData, 'Failed to check status');
 
         setStatus(`Status: ${statusData.status}`);
         setProgress(statusData.progress || 0);
 
         if (statusData.status === 'SUCCEEDED') {
-          setVideoUrl(statusData.videoUrl);
-          setStatus('Video generation completed!');
-          setIsGenerating(false);
-          clearInterval(pollIntervalRef.current);
-        } else if (statusData.status === 'FAILED') {
-          throw new Error(statusData.failure?.reason || 'Video generation failed');
+          handleSucceeded(statusData, onComplete);
+        } else if (['FAILED', 'CANCELLED', 'EXPIRED'].includes(statusData.status)) {
+          throw new Error(describeApiError({ error: statusData.failure, code: statusData.code }, `Generation ${statusData.status.toLowerCase()}`));
         }
       } catch (pollError) {
-        setError(pollError.message);
-        setIsGenerating(false);
-        clearInterval(pollIntervalRef.current);
+        handleFailed(pollError.message);
+      } finally {
+        pollInFlightRef.current = false;
       }
     }, 4000);
   };
 
+  // Follows the task over Server-Sent Events, falling back to polling when the
+  // stream cannot be opened at all. `onComplete` receives the finished result.
+  const watchStatus = (taskId, onComplete) => {
+    if (typeof EventSource === 'undefined') {
+      pollForStatus(taskId, onComplete);
+      return;
+    }
+
+    const source = new EventSource(`/ai/stream?taskId=${encodeURIComponent(taskId)}`);
+    eventSourceRef.current = source;
+    let opened = false;
+
+    source.onopen = () => { opened = true; };
+    source.addEventListener('status', (event) => setStatus(`Status: ${JSON.parse(event.data).status}`));
+    source.addEventListener('progress', (event) => setProgress(JSON.parse(event.data).progress || 0));
+    source.addEventListener('complete', (event) => handleSucceeded(JSON.parse(event.data), onComplete));
+    source.addEventListener('failure', (event) => handleFailed(describeApiError(JSON.parse(event.data))));
+    // Once connected, EventSource reconnects by itself after the server closes the stream
+    source.onerror = () => {
+      if (opened && source.readyState !== EventSource.CLOSED) return;
+      source.close();
+      eventSourceRef.current = null;
+      pollForStatus(taskId, onComplete);
+    };
+  };
+
+  const generateImage = async () => {
+    if (!imagePrompt.trim()) {
+      setError('Please enter an image prompt.');
+      return;
+    }
+
+    resetState();
+    removeFile();
+    setIsGenerating(true);
+    setStatus('Starting image generation...');
+
+    try {
+      const response = await fetch('/ai', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'generateImage', prompt: imagePrompt, ratio: imageRatio, model: DEFAULT_IMAGE_MODEL }),
+      });
+      const data = await response.json();
+      loadBudget();
+
+      if (!response.ok || !data.success) {
+        throw apiFailure(response, data, 'Failed to start image generation');
+      }
+
+      setStatus('Image generation started, processing...');
+      watchStatus(data.taskId, (result) => {
+        setSourceImageKey(result.imageKey);
+        setPreviewUrl(result.imageUrl);
+        setStatus('Image generated! Enter a video prompt and animate it.');
+      });
+    } catch (err) {
+      setError(err.message);
+      setIsGenerating(false);
+    }
+  };
+
+  // Replaces the player's clips with the whole continuation chain ending at taskId
+  const loadChain = async (taskId) => {
+    try {
+      const response = await fetch(`/ai/jobs/${encodeURIComponent(taskId)}/chain`);
+      const data = await response.json();
+      if (!response.ok || !data.success) throw apiFailure(response, data, 'Failed to load clip chain');
+      setChain(data.jobs.filter(job => job.videoUrl).map(job => ({ id: job.id, videoUrl: job.videoUrl, prompt: job.prompt })));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Uses a frame of the clip on screen as the source for a continuation
+  const continueFromFrame = async (useLastFrame) => {
+    const video = playerRef.current;
+    if (!video) return;
+    const clip = chain.find(item => item.videoUrl === video.currentSrc) || chain[chain.length - 1];
+
+    setIsCapturing(true);
+    setError('');
+    try {
+      const file = await captureFrame(clip.videoUrl, useLastFrame ? Infinity : video.currentTime, `continue-${clip.id}.jpg`);
+      setSourceMode('upload');
+      removeFile();
+      setSelectedFile(file);
+      setPreviewUrl(URL.createObjectURL(file));
+      setParentTaskId(clip.id);
+      setPrompt('');
+      setStatus('Frame captured. Enter a prompt for the next clip and generate to continue.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  // Follows a started video job until its clip is ready to play
+  const followVideoJob = (job) => {
+    setLastJob(job);
+    setStatus(`Video generation started with seed ${job.seed}, processing...`);
+    watchStatus(job.taskId, (result) => {
+      setResultIsLoop(job.isLoop);
+      setVideoUrl(result.videoUrl);
+      setChain([{ id: job.taskId, videoUrl: result.videoUrl, prompt: job.prompt }]);
+      setStatus(`Video generation completed! (seed ${job.seed})`);
+      if (job.isContinuation) loadChain(job.taskId);
+    });
+  };
+
   const generateVideo = async () => {
-    if (!selectedFile || !prompt.trim()) {
+    if (!hasSource || !prompt.trim()) {
       setError('Please select an image and enter a prompt.');
       return;
     }
@@ -102,27 +409,93 @@ export default function App() {
     try {
       const formData = new FormData();
       formData.append('prompt', prompt);
-      formData.append('image', selectedFile);
-      // Append the new options
+      // Upload what the crop editors show rather than the raw images. A generated
+      // image is sent by key when the crop keeps all of it, or when it cannot be
+      // cropped (the bucket does not allow CORS), so the job uses that image itself.
+      const keepGeneratedImage = Boolean(sourceImageKey) && (!crop || crop.full);
+      let sourceImage = keepGeneratedImage ? null : selectedFile;
+      if (crop && !keepGeneratedImage) {
+        sourceImage = await cropImage(previewUrl, crop, ratio, selectedFile?.name).catch((error) => {
+          if (!sourceImageKey) throw error;
+          return null;
+        });
+      }
+      if (sourceImage) {
+        formData.append('image', sourceImage);
+      } else {
+        formData.append('imageKey', sourceImageKey);
+      }
+      if (loopMode) {
+        formData.append('mode', 'loop');
+      } else if (endFile) {
+        formData.append('endImage', endCrop ? await cropImage(endPreviewUrl, endCrop, ratio, endFile.name) : endFile);
+      }
+      // Append the user options
+      formData.append('model', model);
       formData.append('duration', duration);
       formData.append('ratio', ratio);
+      if (seed.trim()) formData.append('seed', seed.trim());
+      if (parentTaskId) formData.append('parentTaskId', parentTaskId);
 
-      const response = await fetch('/ai', { method: 'POST', body: formData });
+      // One key per submission, so a retried request cannot start a second job
+      const idempotencyKey = crypto.randomUUID();
+      const submit = () => fetch('/ai', { method: 'POST', headers: { 'Idempotency-Key': idempotencyKey }, body: formData });
+      // A dropped connection may still have started the job; the retry gets that one back
+      let response = await submit().catch(submit);
+      const giveUpAt = Date.now() + IDEMPOTENCY_WAIT_MS;
+      let waiting = response.status === 409;
+      while (waiting && Date.now() < giveUpAt) {
+        setStatus('Waiting for the first attempt to finish starting the job...');
+        await sleep(response.status === 429 ? retryAfterMs(response, IDEMPOTENCY_RETRY_MS) : IDEMPOTENCY_RETRY_MS);
+        response = await submit();
+        waiting = [409, 429].includes(response.status);
+      }
       const data = await response.json();
+      loadBudget();
 
       if (!response.ok || !data.success) {
-        throw new Error(data.error || 'Failed to start video generation');
+        throw apiFailure(response, data, 'Failed to start video generation');
       }
 
-      setStatus('Video generation started, processing...');
-      pollForStatus(data.taskId);
+      followVideoJob({ taskId: data.taskId, seed: data.seed, prompt, isLoop: loopMode, isContinuation: Boolean(parentTaskId) });
 
     } catch (err) {
       setError(err.message);
       setIsGenerating(false);
     }
   };
+
+  // Repeats the last job with its seed, source and options, using the current prompt
+  const rerunVideo = async () => {
+    if (!lastJob || !prompt.trim()) return;
+
+    resetState();
+    setIsGenerating(true);
+    setStatus(`Re-running with seed ${lastJob.seed}...`);
+
+    try {
+      const response = await fetch('/ai', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'rerun', taskId: lastJob.taskId, prompt }),
+      });
+      const data = await response.json();
+      loadBudget();
+
+      if (!response.ok || !data.success) {
+        throw apiFailure(response, data, 'Failed to re-run video generation');
+      }
+
+      followVideoJob({ ...lastJob, taskId: data.taskId, seed: data.seed, prompt });
+    } catch (err) {
+      setError(err.message);
+      setIsGenerating(false);
+    }
+  };
   
+  if (user === undefined) return null;
+  if (!user) return <SignIn />;
+
   const radioGroupStyle = { marginBottom: '20px', border: '1px solid #ccc', padding: '10px', borderRadius: '5px' };
   const radioLabelStyle = { marginRight: '15px', cursor: 'pointer' };
 
@@ -130,62 +503,160 @@ export default function App() {
     <div style={{ padding: '20px', maxWidth: '600px', margin: '0 auto', fontFamily: 'sans-serif' }}>
       <h2>Generate Video with RunwayML</h2>
       <div style={{ marginBottom: '20px' }}>
-        <label style={{ display: 'block', marginBottom: '5px' }}>Video Prompt:</label>
-        <input type="text" placeholder="e.g., 'camera slowly zooms in'" value={prompt} onChange={e => setPrompt(e.target.value)} style={{ width: '100%', padding: '10px', fontSize: '16px', boxSizing: 'border-box' }} />
-      </div>
-
-      {/* New Radio Buttons for Duration */}
-      <div style={radioGroupStyle}>
-        <p style={{ marginTop: 0, fontWeight: 'bold' }}>Duration:</p>
         <label style={radioLabelStyle}>
-          <input type="radio" value="5" checked={duration === '5'} onChange={() => setDuration('5')} /> 5 Seconds
+          <input type="radio" checked={!batchMode} onChange={() => setBatchMode(false)} /> Single video
         </label>
         <label style={radioLabelStyle}>
-          <input type="radio" value="10" checked={duration === '10'} onChange={() => setDuration('10')} /> 10 Seconds
+          <input type="radio" checked={batchMode} onChange={() => setBatchMode(true)} /> Batch (images × prompts)
         </label>
       </div>
+      {!batchMode && (
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '5px' }}>Video Prompt:</label>
+          <input type="text" placeholder="e.g., 'camera slowly zooms in'" value={prompt} maxLength={modelSpec.maxPromptLength} onChange={e => setPrompt(e.target.value)} style={{ width: '100%', padding: '10px', fontSize: '16px', boxSizing: 'border-box' }} />
+        </div>
+      )}
 
-      {/* New Radio Buttons for Aspect Ratio */}
       <div style={radioGroupStyle}>
-        <p style={{ marginTop: 0, fontWeight: 'bold' }}>Aspect Ratio:</p>
-        <label style={radioLabelStyle}>
-          <input type="radio" value="1280:768" checked={ratio === '1280:768'} onChange={() => setRatio('1280:768')} /> Landscape (1280:768)
-        </label>
-        <label style={radioLabelStyle}>
-          <input type="radio" value="768:1280" checked={ratio === '768:1280'} onChange={() => setRatio('768:1280')} /> Portrait (768:1280)
-        </label>
+        <p style={{ marginTop: 0, fontWeight: 'bold' }}>Model:</p>
+        <select value={model} onChange={e => handleModelChange(e.target.value)} style={{ padding: '8px', fontSize: '16px' }}>
+          {Object.entries(MODELS).map(([id, spec]) => (
+            <option key={id} value={id}>{spec.label} ({id})</option>
+          ))}
+        </select>
       </div>
 
-      <div style={{ marginBottom: '20px' }}>
-        <label style={{ display: 'block', marginBottom: '5px' }}>Source Image:</label>
-        <input id="fileInput" type="file" accept="image/jpeg,image/png,image/webp" onChange={handleFileSelect} style={{ width: '100%' }} />
+      {/* Only the durations and ratios the selected model supports */}
+      <div style={radioGroupStyle}>
+        <p style={{ marginTop: 0, fontWeight: 'bold' }}>Duration:</p>
+        {modelSpec.durations.map(seconds => (
+          <label key={seconds} style={radioLabelStyle}>
+            <input type="radio" value={seconds} checked={duration === String(seconds)} onChange={() => setDuration(String(seconds))} /> {seconds} Seconds
+          </label>
+        ))}
       </div>
-      {previewUrl && (
-        <div style={{ marginBottom: '20px', position: 'relative', display: 'inline-block' }}>
-          <img src={previewUrl} alt="Preview" style={{ maxWidth: '300px', maxHeight: '200px', border: '1px solid #ddd' }} />
-          <button onClick={removeFile} style={{ position: 'absolute', top: '5px', right: '5px', background: 'rgba(255,0,0,0.7)', color: 'white', border: 'none', borderRadius: '50%', width: '25px', height: '25px', cursor: 'pointer' }}>×</button>
+
+      <div style={radioGroupStyle}>
+        <p style={{ marginTop: 0, fontWeight: 'bold' }}>Aspect Ratio:</p>
+        {modelSpec.ratios.map(value => (
+          <label key={value} style={radioLabelStyle}>
+            <input type="radio" value={value} checked={ratio === value} onChange={() => setRatio(value)} /> {describeRatio(value)}
+          </label>
+        ))}
+      </div>
+
+      {batchMode ? (
+        <BatchPanel model={model} duration={duration} ratio={ratio} validateImageFile={validateImageFile} onSubmitted={loadBudget} />
+      ) : (
+        <>
+        <div style={radioGroupStyle}>
+          <p style={{ marginTop: 0, fontWeight: 'bold' }}>Seed (optional):</p>
+          <input type="number" min="0" max={MAX_SEED} step="1" placeholder="Random" value={seed} onChange={e => setSeed(e.target.value)} style={{ width: '100%', padding: '8px', fontSize: '16px', boxSizing: 'border-box' }} />
         </div>
-      )}
-      <button onClick={generateVideo} disabled={isGenerating || !selectedFile || !prompt.trim()} style={{ padding: '10px 20px', fontSize: '16px', backgroundColor: (isGenerating || !selectedFile || !prompt.trim()) ? '#ccc' : '#007bff', color: 'white', border: 'none', cursor: 'pointer' }}>
-        {isGenerating ? 'Generating...' : 'Generate Video'}
-      </button>
-      {status && (
-        <div style={{ marginTop: '20px', padding: '10px', backgroundColor: '#f0f0f0' }}>
-          <p>{status}</p>
-          {isGenerating && progress > 0 && (
-            <div style={{ backgroundColor: '#ddd' }}><div style={{ width: `${progress}%`, height: '20px', backgroundColor: '#007bff', transition: 'width 0.5s ease' }} /></div>
+
+        <div style={radioGroupStyle}>
+          <p style={{ marginTop: 0, fontWeight: 'bold' }}>Source Image:</p>
+          <label style={radioLabelStyle}>
+            <input type="radio" value="upload" checked={sourceMode === 'upload'} onChange={() => handleSourceModeChange('upload')} /> Upload a file
+          </label>
+          <label style={radioLabelStyle}>
+            <input type="radio" value="generate" checked={sourceMode === 'generate'} onChange={() => handleSourceModeChange('generate')} /> Generate from a prompt
+          </label>
+
+          {sourceMode === 'upload' ? (
+            <input id="fileInput" type="file" accept="image/jpeg,image/png,image/webp" onChange={handleFileSelect} style={{ width: '100%', marginTop: '10px' }} />
+          ) : (
+            <div style={{ marginTop: '10px' }}>
+              <input type="text" placeholder="e.g., 'a red bicycle leaning on a brick wall at sunset'" value={imagePrompt} maxLength={IMAGE_MODELS[DEFAULT_IMAGE_MODEL].maxPromptLength} onChange={e => setImagePrompt(e.target.value)} style={{ width: '100%', padding: '10px', fontSize: '16px', boxSizing: 'border-box' }} />
+              <div>
+                {IMAGE_MODELS[DEFAULT_IMAGE_MODEL].ratios.map(value => (
+                  <label key={value} style={radioLabelStyle}>
+                    <input type="radio" value={value} checked={imageRatio === value} onChange={() => setImageRatio(value)} /> {describeRatio(value)}
+                  </label>
+                ))}
+              </div>
+              <button onClick={generateImage} disabled={isGenerating || !imagePrompt.trim()} style={{ padding: '8px 16px', fontSize: '14px', backgroundColor: (isGenerating || !imagePrompt.trim()) ? '#ccc' : '#28a745', color: 'white', border: 'none', cursor: 'pointer' }}>
+                Generate Image ({imageCredits({ model: DEFAULT_IMAGE_MODEL, ratio: imageRatio })} credits)
+              </button>
+            </div>
           )}
         </div>
-      )}
-      {error && (<div style={{ marginTop: '20px', padding: '10px', backgroundColor: '#ffebee', color: '#c62828' }}>Error: {error}</div>)}
-      {videoUrl && (
-        <div style={{ marginTop: '20px' }}>
-          <h3>Generated Video:</h3>
-          <video controls muted autoPlay loop style={{ width: '100%', maxWidth: '500px' }} src={videoUrl}>Your browser does not support the video tag.</video>
-        </div>
+        {parentTaskId && (
+          <p style={{ fontSize: '14px', color: '#555' }}>Continuing from a frame of the previous clip.</p>
+        )}
+        {previewUrl && (
+          <div style={{ marginBottom: '20px', position: 'relative', display: 'inline-block' }}>
+            <CropEditor key={previewUrl} src={previewUrl} ratio={ratio} onCropChange={setCrop} />
+            <button onClick={removeFile} style={{ position: 'absolute', top: '5px', right: '5px', background: 'rgba(255,0,0,0.7)', color: 'white', border: 'none', borderRadius: '50%', width: '25px', height: '25px', cursor: 'pointer' }}>×</button>
+          </div>
+        )}
+        {modelSpec.supportsLastFrame && (
+          <div style={{ marginBottom: '20px' }}>
+            <label style={radioLabelStyle}>
+              <input type="checkbox" checked={loopMode} onChange={e => handleLoopModeChange(e.target.checked)} /> Seamless loop (uses the source image as the end frame)
+            </label>
+          </div>
+        )}
+        {modelSpec.supportsLastFrame && !loopMode && (
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>End Frame (optional):</label>
+            <input id="endFileInput" type="file" accept="image/jpeg,image/png,image/webp" onChange={handleEndFileSelect} style={{ width: '100%' }} />
+            {endPreviewUrl && (
+              <div style={{ position: 'relative', display: 'inline-block' }}>
+                <CropEditor key={endPreviewUrl} src={endPreviewUrl} ratio={ratio} onCropChange={setEndCrop} />
+                <button onClick={removeEndFile} style={{ position: 'absolute', top: '5px', right: '5px', background: 'rgba(255,0,0,0.7)', color: 'white', border: 'none', borderRadius: '50%', width: '25px', height: '25px', cursor: 'pointer' }}>×</button>
+              </div>
+            )}
+          </div>
+        )}
+        <button onClick={generateVideo} disabled={isGenerating || !hasSource || !prompt.trim()} style={{ padding: '10px 20px', fontSize: '16px', backgroundColor: (isGenerating || !hasSource || !prompt.trim()) ? '#ccc' : '#007bff', color: 'white', border: 'none', cursor: 'pointer' }}>
+          {isGenerating ? 'Generating...' : 'Generate Video'}
+        </button>
+        {lastJob && (
+          <button onClick={rerunVideo} disabled={isGenerating || !prompt.trim()} title="Same seed, source and options with the current prompt" style={{ padding: '10px 20px', fontSize: '16px', marginLeft: '10px', cursor: 'pointer' }}>
+            Re-run with seed {lastJob.seed}
+          </button>
+        )}
+        {estimate && (
+          <span style={{ marginLeft: '10px', fontSize: '14px', color: estimate.valid && estimate.withinBudget ? '#555' : '#c62828' }}>{describeEstimate(estimate)}</span>
+        )}
+        {status && (
+          <div style={{ marginTop: '20px', padding: '10px', backgroundColor: '#f0f0f0' }}>
+            <p>{status}</p>
+            {isGenerating && progress > 0 && (
+              <div style={{ backgroundColor: '#ddd' }}><div style={{ width: `${Math.round(progress * 100)}%`, height: '20px', backgroundColor: '#007bff', transition: 'width 0.5s ease' }} /></div>
+            )}
+          </div>
+        )}
+        {error && (<div style={{ marginTop: '20px', padding: '10px', backgroundColor: '#ffebee', color: '#c62828' }}>Error: {error}</div>)}
+        {videoUrl && (
+          <div style={{ marginTop: '20px' }}>
+            <h3>Generated Video:</h3>
+            {resultIsLoop ? (
+              <LoopPlayer src={videoUrl} style={{ width: '100%', maxWidth: '500px', margin: '0 auto' }} />
+            ) : (
+              <>
+                <ChainPlayer ref={playerRef} clips={chain} style={{ width: '100%', maxWidth: '500px', margin: '0 auto' }} />
+                <div style={{ marginTop: '10px' }}>
+                  <button onClick={() => continueFromFrame(true)} disabled={isGenerating || isCapturing} style={{ padding: '8px 16px', cursor: 'pointer' }}>Continue from last frame</button>
+                  <button onClick={() => continueFromFrame(false)} disabled={isGenerating || isCapturing} style={{ padding: '8px 16px', cursor: 'pointer' }}>Continue from current frame</button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+        </>
       )}
       <div style={{ marginTop: '30px', fontSize: '14px', color: '#666' }}>
-        <p><strong>Model:</strong> gen3a_turbo</p>
+        <p><strong>Model:</strong> {model}</p>
+        {budget && (budget.daily.limit !== null || budget.monthly.limit !== null) && (
+          <p><strong>Credits left:</strong> {describeBudget(budget.daily)} today · {describeBudget(budget.monthly)} this month</p>
+        )}
+        <p>
+          Signed in as {user.email} · <button onClick={signOut} style={{ padding: 0, border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '14px' }}>Sign out</button>
+          {user.admin && (<> · <button onClick={() => setShowApiKeys(!showApiKeys)} style={{ padding: 0, border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '14px' }}>API keys</button></>)}
+        </p>
+        {user.admin && showApiKeys && <ApiKeysPanel />}
       </div>
     </div>
   );
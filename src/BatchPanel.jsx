@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MAX_SEED, videoCredits } from '../shared/models.js';
+import { retryAfterMs } from '../shared/retryAfter.js';
+import { describeApiError } from './apiErrors.js';
+
+const FINISHED_STATUSES = ['SUCCEEDED', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+// Cells come back from the start request before any status check has run
+const cellStatus = (cell) => cell.status || (cell.taskId ? 'PENDING' : 'FAILED');
+const isFailed = (status) => FINISHED_STATUSES.includes(status) && status !== 'SUCCEEDED';
+
+function BatchCell({ cell }) {
+  const status = cellStatus(cell);
+  return (
+    <div style={{ marginBottom: '6px' }}>
+      {cell.videoUrl ? (
+        <video src={cell.videoUrl} controls muted loop style={{ width: '100%' }} />
+      ) : (
+        // The cells are narrow, so what to do about a failure is left to the tooltip
+        <p style={{ margin: '4px 0', color: isFailed(status) ? '#c62828' : '#333' }} title={cell.code ? describeApiError({ error: cell.failure || cell.error, code: cell.code }) : undefined}>
+          {status}{cell.failure || cell.error ? `: ${cell.failure || cell.error}` : ''}
+        </p>
+      )}
+      {!FINISHED_STATUSES.includes(status) && cell.progress > 0 && (
+        <div style={{ backgroundColor: '#ddd' }}><div style={{ width: `${Math.round(cell.progress * 100)}%`, height: '6px', backgroundColor: '#007bff' }} /></div>
+      )}
+      {cell.seed !== null && <div style={{ fontSize: '12px', color: '#666' }}>seed {cell.seed}</div>}
+    </div>
+  );
+}
+
+// Batch mode: several images × several prompts (× optional seeds), one job per
+// combination, tracked in a grid with a row per image and a column per prompt.
+export default function BatchPanel({ model, duration, ratio, validateImageFile, onSubmitted }) {
+  const [files, setFiles] = useState([]);
+  const [promptsText, setPromptsText] = useState('');
+  const [seedsText, setSeedsText] = useState('');
+  const [batch, setBatch] = useState(null);
+  const [batchPreviews, setBatchPreviews] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const pollIntervalRef = useRef(null);
+  const pollInFlightRef = useRef(false);
+  // Polling pauses until this time after the server answers 429
+  const pollPausedUntilRef = useRef(0);
+
+  const prompts = promptsText.split('\n').map(line => line.trim()).filter(Boolean);
+  const seeds = seedsText.split(/[\s,]+/).filter(Boolean);
+  const jobCount = files.length * prompts.length * Math.max(seeds.length, 1);
+
+  const stopPolling = () => {
+    if (pollIntervalRef.current) {
+      clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = null;
+    }
+  };
+
+  useEffect(() => stopPolling, []);
+
+  const handleFilesSelect = (event) => {
+    const selected = Array.from(event.target.files);
+    const fileError = selected.map(validateImageFile).find(Boolean);
+    if (fileError) {
+      setError(fileError);
+      return;
+    }
+    setError('');
+    setFiles(selected.map(file => ({ file, previewUrl: URL.createObjectURL(file) })));
+  };
+
+  const pollBatch = (batchId) => {
+    pollIntervalRef.current = setInterval(async () => {
+      // Skip this tick if the previous status check is still running or the server asked us to back off
+      if (pollInFlightRef.current || Date.now() < pollPausedUntilRef.current) return;
+      pollInFlightRef.current = true;
+      try {
+        const response = await fetch(`/ai/batches/${encodeURIComponent(batchId)}`);
+        if (response.headers.has('Retry-After')) {
+          pollPausedUntilRef.current = Date.now() + retryAfterMs(response);
+          return;
+        }
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!data.success) throw new Error(describeApiError(data, 'Failed to check batch status'));
+
+        setBatch(data.batch);
+        if (data.batch.cells.every(cell => FINISHED_STATUSES.includes(cellStatus(cell)))) stopPolling();
+      } catch (pollError) {
+        setError(pollError.message);
+        stopPolling();
+      } finally {
+        pollInFlightRef.current = false;
+      }
+    }, 5000);
+  };
+
+  const submitBatch = async () => {
+    stopPolling();
+    setBatch(null);
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const formData = new FormData();
+      files.forEach(({ file }) => formData.append('image', file));
+      prompts.forEach(prompt => formData.append('prompt', prompt));
+      seeds.forEach(seed => formData.append('seed', seed));
+      formData.append('model', model);
+      formData.append('duration', duration);
+      formData.append('ratio', ratio);
+
+      const response = await fetch('/ai/batches', { method: 'POST', body: formData });
+      const data = await response.json();
+      onSubmitted();
+
+      if (!response.ok || !data.success) {
+        throw new Error(describeApiError(data, 'Failed to start batch'));
+      }
+
+      setBatchPreviews(files.map(({ previewUrl }) => previewUrl));
+      setBatch(data.batch);
+      pollBatch(data.batch.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const cells = batch?.cells || [];
+  const finishedCount = cells.filter(cell => FINISHED_STATUSES.includes(cellStatus(cell))).length;
+  const failedCount = cells.filter(cell => isFailed(cellStatus(cell))).length;
+  const isRunning = Boolean(batch) && finishedCount < cells.length;
+  const canSubmit = !isSubmitting && !isRunning && jobCount > 0;
+
+  return (
+    <div>
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px' }}>Source Images:</label>
+        <input type="file" multiple accept="image/jpeg,image/png,image/webp" onChange={handleFilesSelect} style={{ width: '100%' }} />
+        <div style={{ marginTop: '10px' }}>
+          {files.map(({ file, previewUrl }) => (
+            <img key={previewUrl} src={previewUrl} alt={file.name} title={file.name} style={{ height: '60px', marginRight: '5px', border: '1px solid #ddd' }} />
+          ))}
+        </div>
+      </div>
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px' }}>Video Prompts (one per line):</label>
+        <textarea rows={4} placeholder={'camera slowly zooms in\ncamera pans left'} value={promptsText} onChange={e => setPromptsText(e.target.value)} style={{ width: '100%', padding: '10px', fontSize: '16px', boxSizing: 'border-box' }} />
+      </div>
+      <div style={{ marginBottom: '20px' }}>
+        <label style={{ display: 'block', marginBottom: '5px' }}>Seeds (optional, comma separated, 0–{MAX_SEED}):</label>
+        <input type="text" placeholder="Random" value={seedsText} onChange={e => setSeedsText(e.target.value)} style={{ width: '100%', padding: '8px', fontSize: '16px', boxSizing: 'border-box' }} />
+      </div>
+      <button onClick={submitBatch} disabled={!canSubmit} style={{ padding: '10px 20px', fontSize: '16px', backgroundColor: canSubmit ? '#007bff' : '#ccc', color: 'white', border: 'none', cursor: 'pointer' }}>
+        {isSubmitting ? 'Starting...' : `Generate ${jobCount} Video${jobCount === 1 ? '' : 's'} (${jobCount * videoCredits({ model, duration })} credits)`}
+      </button>
+      {error && (<div style={{ marginTop: '20px', padding: '10px', backgroundColor: '#ffebee', color: '#c62828' }}>Error: {error}</div>)}
+      {batch && (
+        <div style={{ marginTop: '20px' }}>
+          <p>{finishedCount} of {cells.length} finished{failedCount ? `, ${failedCount} failed` : ''}.</p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+            <thead>
+              <tr>
+                <th style={{ width: '70px' }} />
+                {batch.prompts.map((prompt, promptIndex) => (
+                  <th key={promptIndex} title={prompt} style={{ padding: '4px', fontSize: '13px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{prompt}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {batch.imageKeys.map((imageKey, imageIndex) => (
+                <tr key={imageIndex}>
+                  <td style={{ padding: '4px', verticalAlign: 'top' }}>
+                    <img src={batchPreviews[imageIndex]} alt={imageKey} style={{ width: '60px' }} />
+                  </td>
+                  {batch.prompts.map((prompt, promptIndex) => (
+                    <td key={promptIndex} style={{ padding: '4px', verticalAlign: 'top', border: '1px solid #eee' }}>
+                      {cells.filter(cell => cell.imageIndex === imageIndex && cell.promptIndex === promptIndex).map((cell, i) => (
+                        <BatchCell key={cell.taskId || i} cell={cell} />
+                      ))}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
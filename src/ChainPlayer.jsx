@@ -0,0 +1,45 @@
+import React, { forwardRef, useEffect, useState } from 'react';
+
+// Plays a chain of continuation clips back-to-back. The ref points at the
+// underlying <video> so the caller can tell which clip and time is on screen.
+const ChainPlayer = forwardRef(function ChainPlayer({ clips, style }, ref) {
+  const [index, setIndex] = useState(clips.length - 1);
+
+  // Show the newest clip when a continuation is added
+  useEffect(() => {
+    setIndex(clips.length - 1);
+  }, [clips.length]);
+
+  const clip = clips[Math.min(index, clips.length - 1)];
+  const isChain = clips.length > 1;
+
+  return (
+    <div style={style}>
+      <video
+        ref={ref}
+        key={clip.videoUrl}
+        src={clip.videoUrl}
+        controls
+        muted
+        autoPlay
+        loop={!isChain}
+        onEnded={() => isChain && setIndex((index + 1) % clips.length)}
+        style={{ width: '100%' }}
+      >
+        Your browser does not support the video tag.
+      </video>
+      {isChain && (
+        <div style={{ marginTop: '10px' }}>
+          <button onClick={() => setIndex(0)} style={{ padding: '6px 12px', marginRight: '10px', cursor: 'pointer' }}>▶ Play chain from start</button>
+          {clips.map((item, i) => (
+            <button key={item.id} onClick={() => setIndex(i)} title={item.prompt} style={{ padding: '6px 10px', marginRight: '5px', cursor: 'pointer', fontWeight: i === index ? 'bold' : 'normal', backgroundColor: i === index ? '#e3f2fd' : '#fff', border: '1px solid #ccc' }}>
+              Clip {i + 1}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default ChainPlayer;
@@ -0,0 +1,101 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+
+// Longest side of the editor frame, in CSS pixels
+const FRAME_SIZE = 320;
+const MAX_ZOOM = 4;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The crop rectangle in source pixels for a zoom level and centre point, kept
+// inside the image. At zoom 1 it is the largest rectangle of the target aspect
+// that fits.
+function cropRect(natural, aspect, zoom, center) {
+  const width = Math.min(natural.width, natural.height * aspect) / zoom;
+  const height = width / aspect;
+  return {
+    x: clamp(center.x - width / 2, 0, natural.width - width),
+    y: clamp(center.y - height / 2, 0, natural.height - height),
+    width,
+    height,
+  };
+}
+
+// Drag to pan and slide to zoom an image inside a frame locked to `ratio`.
+// The visible area is reported through `onCropChange` (null until the image
+// has loaded) so the caller can crop before uploading; `full` is set on it
+// when it takes in the whole image, so cropping would change nothing. Give it a `key` per
+// image so a new image starts from a fresh state.
+export default function CropEditor({ src, ratio, onCropChange }) {
+  const [natural, setNatural] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [center, setCenter] = useState(null);
+  const dragRef = useRef(null);
+
+  const [ratioWidth, ratioHeight] = ratio.split(':').map(Number);
+  const aspect = ratioWidth / ratioHeight;
+  const frame = aspect >= 1 ? { width: FRAME_SIZE, height: FRAME_SIZE / aspect } : { width: FRAME_SIZE * aspect, height: FRAME_SIZE };
+  const crop = useMemo(() => {
+    if (!natural || !center) return null;
+    const rect = cropRect(natural, aspect, zoom, center);
+    // Within a pixel either way counts as the whole image
+    return { ...rect, full: natural.width - rect.width < 1 && natural.height - rect.height < 1 };
+  }, [natural, aspect, zoom, center]);
+  const scale = crop ? frame.width / crop.width : 1;
+
+  useEffect(() => {
+    onCropChange(crop);
+  }, [crop, onCropChange]);
+
+  // Start centred and fully zoomed out
+  const handleLoad = (event) => {
+    const { naturalWidth: width, naturalHeight: height } = event.currentTarget;
+    setNatural({ width, height });
+    setZoom(1);
+    setCenter({ x: width / 2, y: height / 2 });
+  };
+
+  const handlePointerDown = (event) => {
+    if (!crop) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY, center: { x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 } };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const moved = cropRect(natural, aspect, zoom, {
+      x: drag.center.x - (event.clientX - drag.x) / scale,
+      y: drag.center.y - (event.clientY - drag.y) / scale,
+    });
+    setCenter({ x: moved.x + moved.width / 2, y: moved.y + moved.height / 2 });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div>
+      <div
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{ position: 'relative', width: `${frame.width}px`, height: `${frame.height}px`, overflow: 'hidden', border: '1px solid #ddd', backgroundColor: '#222', cursor: 'grab', touchAction: 'none' }}
+      >
+        <img
+          src={src}
+          alt="Crop preview"
+          draggable={false}
+          onLoad={handleLoad}
+          style={crop
+            ? { position: 'absolute', left: `${-crop.x * scale}px`, top: `${-crop.y * scale}px`, width: `${natural.width * scale}px`, height: `${natural.height * scale}px`, maxWidth: 'none', userSelect: 'none' }
+            : { visibility: 'hidden' }}
+        />
+      </div>
+      <label style={{ display: 'block', marginTop: '5px', fontSize: '14px' }}>
+        Zoom <input type="range" min="1" max={MAX_ZOOM} step="0.01" value={zoom} onChange={e => setZoom(Number(e.target.value))} style={{ verticalAlign: 'middle' }} />
+      </label>
+    </div>
+  );
+}
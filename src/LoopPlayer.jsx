@@ -0,0 +1,47 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Loop clips start and end on the same frame, so playing the last frame and
+// then the first shows it twice, and the native `loop` attribute adds a short
+// stall on top. Two stacked players take turns instead: the idle one is
+// started from the top just before the visible one reaches its final frame.
+const LOOP_TRIM_SECONDS = 1 / 24;
+
+export default function LoopPlayer({ src, style }) {
+  const firstRef = useRef(null);
+  const secondRef = useRef(null);
+  const [active, setActive] = useState(0);
+
+  useEffect(() => {
+    const players = [firstRef.current, secondRef.current];
+    let current = 0;
+    let frame;
+
+    const tick = () => {
+      const visible = players[current];
+      if (visible.duration && visible.currentTime >= visible.duration - LOOP_TRIM_SECONDS) {
+        const next = players[1 - current];
+        next.currentTime = 0;
+        next.play().catch(() => {});
+        visible.pause();
+        current = 1 - current;
+        setActive(current);
+      }
+      frame = requestAnimationFrame(tick);
+    };
+
+    setActive(0);
+    players[0].currentTime = 0;
+    players[0].play().catch(() => {});
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [src]);
+
+  const layerStyle = (index) => ({ position: index === 0 ? 'relative' : 'absolute', top: 0, left: 0, width: '100%', display: 'block', opacity: active === index ? 1 : 0 });
+
+  return (
+    <div style={{ position: 'relative', ...style }}>
+      <video ref={firstRef} src={src} muted playsInline preload="auto" style={layerStyle(0)} />
+      <video ref={secondRef} src={src} muted playsInline preload="auto" style={layerStyle(1)} />
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+const EXPIRED_LINK_ERROR = 'That sign-in link has expired or was already used. Request a new one.';
+
+// Asks for an email address and has a sign-in link sent to it.
+export default function SignIn() {
+  const [email, setEmail] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(() => (new URLSearchParams(window.location.search).get('signin') === 'expired' ? EXPIRED_LINK_ERROR : ''));
+
+  const requestLink = async (event) => {
+    event.preventDefault();
+    setIsSending(true);
+    setError('');
+
+    try {
+      const response = await fetch('/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Could not send a sign-in link');
+      setSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '20px', maxWidth: '600px', margin: '0 auto', fontFamily: 'sans-serif' }}>
+      <h2>Sign in</h2>
+      {sent ? (
+        <p>If {email} is on the user list, a sign-in link is on its way. It works once and expires in 15 minutes.</p>
+      ) : (
+        <form onSubmit={requestLink}>
+          <label style={{ display: 'block', marginBottom: '5px' }}>Email:</label>
+          <input type="email" required placeholder="you@example.com" value={email} onChange={e => setEmail(e.target.value)} style={{ width: '100%', padding: '10px', fontSize: '16px', boxSizing: 'border-box', marginBottom: '10px' }} />
+          <button type="submit" disabled={isSending || !email.trim()} style={{ padding: '10px 20px', fontSize: '16px', backgroundColor: (isSending || !email.trim()) ? '#ccc' : '#007bff', color: 'white', border: 'none', cursor: 'pointer' }}>
+            {isSending ? 'Sending...' : 'Email me a sign-in link'}
+          </button>
+        </form>
+      )}
+      {error && (<div style={{ marginTop: '20px', padding: '10px', backgroundColor: '#ffebee', color: '#c62828' }}>Error: {error}</div>)}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+// What the user can do about each error code the /ai routes send, shown after
+// the server's own message.
+const REMEDIES = {
+  validation: 'Check the options and images, then try again.',
+  auth: 'Sign in again, or ask an admin for access.',
+  quota: 'Wait for the limit to reset, or ask an admin to raise your budget.',
+  not_found: 'It may have been deleted; start a new job instead.',
+  conflict: 'This submission is still being processed; wait a moment before retrying.',
+  upstream_rejected: 'Runway would not accept this request; adjust the prompt, images or options.',
+  moderation: "Runway's content moderation blocked this; try a different prompt or image.",
+  upstream_unavailable: 'Runway is having trouble right now; try again in a few minutes.',
+  storage_failed: 'The file could not be saved; try again, and tell an admin if it keeps happening.',
+  internal: 'Something went wrong on our side; try again, and tell an admin if it keeps happening.',
+};
+
+// The message to show for a failed /ai response body (or a failed job's status),
+// with the remedy for its code.
+export function describeApiError({ error, code } = {}, fallback = 'Request failed') {
+  const message = error || fallback;
+  return Object.hasOwn(REMEDIES, code ?? '') ? `${message} ${REMEDIES[code]}` : message;
+}
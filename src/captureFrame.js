@@ -0,0 +1,34 @@
+// Grabs the frame at `time` (seconds; past the end means the last frame) from a
+// video as a JPEG File. A separate CORS-enabled copy of the video is used so
+// playback does not depend on the bucket's CORS settings; capturing does.
+export function captureFrame(videoUrl, time, fileName = 'frame.jpg') {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.preload = 'auto';
+
+    const fail = () => reject(new Error('Could not read the video frame. Check that the R2 bucket allows CORS requests from this site.'));
+
+    video.onerror = fail;
+    video.onloadedmetadata = () => {
+      // Browsers cannot seek exactly to the end, so step back a fraction of a frame
+      video.currentTime = Math.max(0, Math.min(time, video.duration - 0.01));
+    };
+    video.onseeked = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        canvas.toBlob(blob => {
+          if (!blob) return fail();
+          resolve(new File([blob], fileName, { type: 'image/jpeg' }));
+        }, 'image/jpeg', 0.95);
+      } catch {
+        fail();
+      }
+    };
+    video.src = videoUrl;
+  });
+}
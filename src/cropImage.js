@@ -0,0 +1,33 @@
+// Crops `crop` ({ x, y, width, height } in source pixels) out of an image and
+// scales it to the ratio's exact resolution (e.g. 1280:768 -> 1280x768), as a
+// JPEG File. Generated images come from R2, so like frame capture this needs
+// the bucket to allow CORS requests.
+export function cropImage(src, crop, ratio, fileName = 'cropped.jpg') {
+  const [width, height] = ratio.split(':').map(Number);
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+
+    const fail = () => reject(new Error('Could not crop the image. Check that the R2 bucket allows CORS requests from this site.'));
+
+    image.onerror = fail;
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+        canvas.toBlob(blob => {
+          if (!blob) return fail();
+          resolve(new File([blob], fileName.replace(/\.\w+$/, '') + '.jpg', { type: 'image/jpeg' }));
+        }, 'image/jpeg', 0.95);
+      } catch {
+        fail();
+      }
+    };
+    image.src = src;
+  });
+}
@@ -1,9 +1,15 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import mockFunctions from './dev/mock-functions-plugin.js'
 
-export default defineConfig({
-  plugins: [react()],
-  build: {
-    outDir: 'dist'
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    // `vite --mode mock` serves /ai from the local functions against the mock provider
+    plugins: [react(), mode === 'mock' && mockFunctions({ MOCK_RUNWAY_DURATION_MS: env.MOCK_RUNWAY_DURATION_MS, MOCK_USER_EMAIL: env.MOCK_USER_EMAIL })],
+    build: {
+      outDir: 'dist'
+    }
   }
-})
\ No newline at end of file
+})
@@ -0,0 +1,10 @@
+import { reconcilePendingTasks } from '../functions/_lib/reconcile.js';
+
+// Standalone Worker with a cron trigger that finalizes tasks nobody is polling
+// for. Needs the same RUNWAYML_API_KEY, R2_PUBLIC_URL, IMAGE_BUCKET and
+// TASK_INFO_KV bindings as the Pages project.
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(reconcilePendingTasks(env).then(summary => console.log('Reconcile summary:', JSON.stringify(summary))));
+  },
+};